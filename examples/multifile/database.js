@@ -2,7 +2,7 @@
 // Database Module
 // =============================================================================
 // Depends on: config, logger
-// Demonstrates: async factory, disposal
+// Demonstrates: async factory, disposal, health check
 
 import { factory } from "no-decoration"
 import { config } from "./config.js"
@@ -50,4 +50,9 @@ export const database = factory("Database", async (c) => {
   const db = await Database.connect(cfg.dbUrl, log)
   c.onDispose(() => db.close())
   return db
+}, {
+  // Registered with the health plugin once the database is resolved
+  healthCheck: (db) => {
+    if (!db.connected) throw new Error("Database not connected")
+  },
 })
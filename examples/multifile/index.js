@@ -3,26 +3,26 @@
 // =============================================================================
 // Run with: node examples/multifile/index.js
 // Test with: curl http://localhost:3000/users
-//            curl http://localhost:3000/health
+//            curl http://localhost:3000/readyz
 //
 // This example demonstrates a real HTTP server using DI:
 //   1. Pre-resolving singletons at startup
 //   2. Creating a child container per request (request scoping)
 //   3. Graceful shutdown with proper cleanup
-//   4. Health checks
+//   4. Health checks declared on factories
 //
 // File structure:
 //   config.js         → Config (no dependencies)
 //   logger.js         → Logger (depends on config)
 //   database.js       → Database (depends on config, logger) - async!
 //   user-service.js   → UserService (depends on database, logger)
-//   request-context.js → RequestContext (created per-request)
+//   request-context.js → RequestContext (one per request)
 //   index.js          → HTTP server entry point (this file)
 // =============================================================================
 
 import { createServer } from "node:http"
-import { createContainer, childContainer } from "no-decoration"
-import { health } from "no-decoration/plugins"
+import { createContainer } from "no-decoration"
+import { health, shutdown, httpMiddleware, requestScope, currentScope } from "no-decoration/plugins"
 
 import { config, Config } from "./config.js"
 import { logger } from "./logger.js"
@@ -35,7 +35,7 @@ import { requestContext } from "./request-context.js"
 // =============================================================================
 
 async function bootstrap() {
-  const app = createContainer().with(health)
+  const app = createContainer().with(health).with(shutdown({ timeout: 10_000 }))
 
   // Get config and logger first for startup logging
   const cfg = app.get(config)
@@ -48,11 +48,8 @@ async function bootstrap() {
 
   log.log("Singletons warmed up")
 
-  // Register health checks
-  const db = await app.get(database)  // Already cached, just getting reference
-  app.onHealthCheck("database", async () => {
-    if (!db.connected) throw new Error("Database not connected")
-  })
+  // The database's health check was registered when it resolved,
+  // from the factory's healthCheck option
 
   return { app, cfg, log }
 }
@@ -62,41 +59,26 @@ async function bootstrap() {
 // =============================================================================
 
 /**
- * @param {import("no-decoration").Container & { onHealthCheck: Function, checkHealth: Function }} app
+ * Runs inside requestScope(), so the request's child container is the
+ * current scope and is disposed once the response is sent.
+ * @param {import("no-decoration").Container} app
  * @param {import("node:http").IncomingMessage} req
  * @param {import("node:http").ServerResponse} res
  */
 async function handleRequest(app, req, res) {
   const log = app.get(logger)
-  const requestId = crypto.randomUUID().slice(0, 8)
 
-  // Create a child container for this request
-  // It inherits app singletons but has its own cache for request-scoped factories
-  const scope = childContainer(app)
+  // The child container for this request: it inherits app singletons but
+  // has its own cache for request-scoped factories
+  const scope = /** @type {import("no-decoration").Container} */ (currentScope())
+  const ctx = scope.get(requestContext)
 
   try {
-    // Register request context (scoped to this request)
-    const ctx = scope.get(requestContext(requestId, req.method || "GET", req.url || "/"))
     log.log(`[${ctx.requestId}] ${ctx.method} ${ctx.url}`)
 
     // Route handling
     const url = new URL(req.url || "/", `http://localhost`)
 
-    if (url.pathname === "/health") {
-      const result = await app.checkHealth()
-      res.writeHead(result.healthy ? 200 : 503, { "Content-Type": "application/json" })
-      res.end(JSON.stringify({
-        status: result.healthy ? "healthy" : "unhealthy",
-        checks: Object.fromEntries(
-          Array.from(result.checks.entries()).map(([name, check]) => [
-            name,
-            { healthy: check.healthy, ms: check.ms.toFixed(2) }
-          ])
-        )
-      }, null, 2))
-      return
-    }
-
     if (url.pathname === "/users") {
       const users = await scope.get(userService)
       const data = users.findAll()
@@ -126,12 +108,9 @@ async function handleRequest(app, req, res) {
     res.end(JSON.stringify({ error: "Not found" }))
 
   } catch (error) {
-    log.log(`[${requestId}] Error: ${error instanceof Error ? error.message : error}`)
+    log.log(`[${ctx.requestId}] Error: ${error instanceof Error ? error.message : error}`)
     res.writeHead(500, { "Content-Type": "application/json" })
     res.end(JSON.stringify({ error: "Internal server error" }))
-  } finally {
-    // Clean up request-scoped resources
-    await scope.dispose()
   }
 }
 
@@ -142,14 +121,22 @@ async function handleRequest(app, req, res) {
 async function main() {
   const { app, cfg, log } = await bootstrap()
 
+  // Serves /healthz and /readyz from the health plugin; everything
+  // else falls through to the application
+  const ops = httpMiddleware(app)
+  // A child container per request, with the request and its ID bound in it
+  const scoped = requestScope(app)
+
   const server = createServer((req, res) => {
-    handleRequest(app, req, res).catch((err) => {
-      console.error("Unhandled error:", err)
-      if (!res.headersSent) {
-        res.writeHead(500)
-        res.end("Internal server error")
-      }
-    })
+    ops(req, res, () => scoped(req, res, () => {
+      handleRequest(app, req, res).catch((err) => {
+        console.error("Unhandled error:", err)
+        if (!res.headersSent) {
+          res.writeHead(500)
+          res.end("Internal server error")
+        }
+      })
+    }))
   })
 
   // Start listening
@@ -157,27 +144,21 @@ async function main() {
     log.log(`Server listening on http://localhost:${cfg.port}`)
     log.log("Try:")
     log.log(`  curl http://localhost:${cfg.port}/users`)
-    log.log(`  curl http://localhost:${cfg.port}/health`)
+    log.log(`  curl http://localhost:${cfg.port}/readyz`)
     log.log("Press Ctrl+C to stop")
   })
 
-  // Graceful shutdown
-  /** @param {string} signal */
-  const shutdown = async (signal) => {
-    log.log(`\nReceived ${signal}, shutting down gracefully...`)
-
-    // Stop accepting new connections
-    server.close()
-
-    // Dispose container (closes database, etc.)
-    await app.dispose()
-
-    log.log("Shutdown complete")
-    process.exit(0)
-  }
-
-  process.on("SIGINT", () => shutdown("SIGINT"))
-  process.on("SIGTERM", () => shutdown("SIGTERM"))
+  // Graceful shutdown: stop accepting connections, then dispose in
+  // dependency order (closes database, etc.) with timeouts
+  app.handleSignals(["SIGINT", "SIGTERM"], {
+    beforeShutdown: (signal) => {
+      log.log(`\nReceived ${signal}, shutting down gracefully...`)
+      server.close()
+    },
+    onShutdown: (report) => {
+      log.log(`Shutdown ${report.ok ? "complete" : "finished with errors"} in ${report.ms.toFixed(0)}ms`)
+    },
+  })
 }
 
 main().catch((err) => {
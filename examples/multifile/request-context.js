@@ -1,10 +1,11 @@
 // =============================================================================
 // Request Context Module
 // =============================================================================
-// Depends on: (created per-request with request data)
-// Demonstrates: request-scoped factory, scoped() helper
+// Depends on: HttpRequest, RequestId (bound per request by requestScope)
+// Demonstrates: request-scoped factory
 
-import { factory, scoped } from "no-decoration"
+import { factory } from "no-decoration"
+import { HttpRequest, RequestId } from "no-decoration/plugins"
 
 export class RequestContext {
   /**
@@ -24,14 +25,9 @@ export class RequestContext {
   }
 }
 
-// scoped() creates a factory builder that takes request-specific arguments
-// Usage: requestContext(requestId, method, url) returns a Factory<RequestContext>
-export const requestContext = scoped(
-  /**
-   * @param {import("no-decoration").Container} _
-   * @param {string} requestId
-   * @param {string} method
-   * @param {string} url
-   */
-  (_, requestId, method, url) => new RequestContext(requestId, method, url)
-)
+// Built from the values requestScope() binds in each request's container.
+// "scoped" keeps one RequestContext per request, never shared with the app.
+export const requestContext = factory("RequestContext", (c) => {
+  const req = c.get(HttpRequest)
+  return new RequestContext(c.get(RequestId), req.method || "GET", req.url || "/")
+}, { lifetime: "scoped" })
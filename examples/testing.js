@@ -231,7 +231,8 @@ console.log("  Errors:", validationReport.errors.map((e) => e.factory))
 // =============================================================================
 // 6. clearCache() FOR RESETTING STATE
 // =============================================================================
-// clearCache() removes all cached instances without disposing them.
+// clearCache() removes all cached instances. Only their per-factory `dispose`
+// option runs; container-wide onDispose() handlers wait for dispose().
 
 console.log("\n=== 6. clearCache() for Resetting State ===\n")
 
@@ -9,6 +9,8 @@
 export interface ContainerOptions {
   /**
    * Detect circular dependencies and throw a helpful error.
+   * Cycles are tracked across `await` inside async factories. Captive
+   * dependency checks run either way.
    * @default true
    */
   detectCircular?: boolean
@@ -18,8 +20,32 @@ export interface ContainerOptions {
    * Each interceptor receives the factory and a `next` function.
    */
   interceptors?: Interceptor[]
+
+  /**
+   * How long a rejected async factory keeps failing fast before get() retries it.
+   * By default a rejection is evicted immediately so the next get() runs the factory again.
+   * @default 0
+   */
+  negativeCacheMs?: number
+
+  /**
+   * Called when the `dispose` cleanup of an evicted instance fails, during
+   * clearCache(), override() or the testing plugin's restore(). Those
+   * return a promise callers often ignore, so it never rejects.
+   * dispose() itself still rejects with the failure.
+   * @default logs with console.error
+   */
+  onDisposeError?: (error: unknown, factory: Factory<unknown>) => void
 }
 
+/**
+ * How long a factory's instance lives.
+ * - `singleton`: one instance, cached in the root container even when first requested from a child
+ * - `scoped`: one instance per container; children never inherit it from their parent
+ * - `transient`: a new instance on every get()
+ */
+export type Lifetime = "singleton" | "scoped" | "transient"
+
 /**
  * A factory is a function that takes a container and returns a value.
  * The container caches the result, so factories are only called once (singleton).
@@ -28,6 +54,16 @@ export type Factory<T> = ((container: Container) => T) & {
   displayName?: string
   _transient?: boolean
   _inner?: Factory<unknown>  // unknown to support type-changing decorators (retry, transform, etc.)
+  _dispose?: ((instance: any) => void | Promise<void>) | false
+  _lifetime?: Lifetime
+  _fallback?: { factory: Factory<unknown>; value: unknown }
+  _onInit?: (instance: any, container: Container) => void | Promise<void>
+  _healthCheck?: HealthCheckOption<any>
+  /**
+   * Set on tokens and collections: they create nothing, only resolve the
+   * factory bound to them or their members
+   */
+  _gathers?: boolean
 }
 
 /**
@@ -44,6 +80,30 @@ export interface ReadOnlyContainer {
   tryGet<T>(factory: Factory<T>): T | undefined
   has<T>(factory: Factory<T>): boolean
   resolver<T>(factory: Factory<T>): () => T
+
+  /**
+   * Resolve several factories, running async ones concurrently.
+   * Returns the values in order, or a promise of them if any factory is async.
+   * If more than one fails, throws (or rejects with) an AggregateError of
+   * their ResolutionErrors.
+   *
+   * @example
+   * const [db, cache] = await c.getAll([database, redis])
+   */
+  getAll<const F extends readonly Factory<unknown>[]>(
+    factories: F
+  ): true extends AsyncIn<F>[number]
+    ? Promise<{ -readonly [K in keyof F]: Awaited<FactoryReturnType<F[K]>> }>
+    : { -readonly [K in keyof F]: FactoryReturnType<F[K]> }
+
+  /**
+   * Resolve a record of factories concurrently.
+   * Rejects with an AggregateError of ResolutionErrors if more than one fails.
+   *
+   * @example
+   * const { db, cache } = await c.getAllAsync({ db: database, cache: redis })
+   */
+  getAllAsync<D extends Record<string, Factory<unknown>>>(deps: D): Promise<ResolvedDeps<D>>
 }
 
 /**
@@ -61,13 +121,41 @@ export interface ContainerInternals {
   cache: Map<Factory<unknown>, unknown>
   overrides: Map<Factory<unknown>, Factory<unknown>>
   hooks: {
-    beforeResolve: Array<(factory: Factory<unknown>) => void>
+    /** `dependent` is the factory being resolved that asked for this one, if any */
+    beforeResolve: Array<(factory: Factory<unknown>, dependent: Factory<unknown> | undefined) => void>
     afterResolve: Array<(factory: Factory<unknown>, value: unknown, ms: number) => void>
     onDispose: Array<(factory: Factory<unknown>) => void>
     onOverride: Array<(original: Factory<unknown>, replacement: Factory<unknown>) => void>
+    onError: Array<(factory: Factory<unknown>, error: Error) => void>
+    /** A child container was created; its internals are passed along */
+    onChild: Array<(child: Container, internals: ContainerInternals) => void>
   }
   resolutionStack: Factory<unknown>[]
   parent: Container | undefined
+  /**
+   * Remove cached instances, fire `onDispose` hooks for them and run their
+   * `dispose` cleanup, dependents first. Cleanup failures go to `onError`,
+   * or else the container's `onDisposeError` option; the promise never
+   * rejects.
+   */
+  evict(
+    factories: Iterable<Factory<unknown>>,
+    onError?: (error: unknown, factory: Factory<unknown>) => void
+  ): Promise<void>
+  /**
+   * Record the container's state: cache, overrides, disposers, hooks,
+   * bindings and the frozen flag. The returned function restores it,
+   * disposing what was created since; instances evicted in the meantime
+   * are put back, because their cleanup is held off until then.
+   */
+  checkpoint(): () => Promise<void>
+  /**
+   * Remove disposers from the container and return them, newest first, for
+   * the caller to run: the onDispose() handlers registered while `factory`
+   * was resolving or, without a factory, every disposer left. dispose()
+   * no longer runs them.
+   */
+  takeDisposers(factory?: Factory<unknown>): Array<() => void | Promise<void>>
 }
 
 /**
@@ -101,6 +189,42 @@ export interface Container {
    */
   resolver<T>(factory: Factory<T>): () => T
 
+  /**
+   * Resolve several factories, running async ones concurrently.
+   * Returns the values in order, or a promise of them if any factory is async.
+   * If more than one fails, throws (or rejects with) an AggregateError of
+   * their ResolutionErrors.
+   *
+   * @example
+   * const [db, cache] = await c.getAll([database, redis])
+   */
+  getAll<const F extends readonly Factory<unknown>[]>(
+    factories: F
+  ): true extends AsyncIn<F>[number]
+    ? Promise<{ -readonly [K in keyof F]: Awaited<FactoryReturnType<F[K]>> }>
+    : { -readonly [K in keyof F]: FactoryReturnType<F[K]> }
+
+  /**
+   * Resolve a record of factories concurrently.
+   * Rejects with an AggregateError of ResolutionErrors if more than one fails.
+   *
+   * @example
+   * const { db, cache } = await c.getAllAsync({ db: database, cache: redis })
+   */
+  getAllAsync<D extends Record<string, Factory<unknown>>>(deps: D): Promise<ResolvedDeps<D>>
+
+  /**
+   * Bind a token to the factory that provides it in this container.
+   * Child containers see the binding and can rebind the token without
+   * affecting this container.
+   */
+  bind<T>(token: Token<T>, factory: Factory<T>): this
+
+  /**
+   * Check whether a token is bound in this container or one of its parents.
+   */
+  isBound(token: Token<unknown>): boolean
+
   // === Lifecycle ===
 
   /**
@@ -113,6 +237,17 @@ export interface Container {
    */
   dispose(): Promise<void>
 
+  /**
+   * Same as dispose(), for `await using` declarations.
+   */
+  [Symbol.asyncDispose](): Promise<void>
+
+  /**
+   * Synchronous disposal for `using` declarations.
+   * Throws if any cleanup function returns a promise.
+   */
+  [Symbol.dispose](): void
+
   // === Testing Support (Core) ===
 
   /**
@@ -122,8 +257,10 @@ export interface Container {
 
   /**
    * Override a factory with a replacement for testing.
+   * A cached instance of the factory being replaced is evicted and its
+   * `dispose` cleanup runs; the returned promise settles when it is done.
    */
-  override<T>(factory: Factory<T>, replacement: Factory<T>): void
+  override<T>(factory: Factory<T>, replacement: Factory<T>): Promise<void>
 
   /**
    * Clear all overrides.
@@ -131,9 +268,11 @@ export interface Container {
   clearOverrides(): void
 
   /**
-   * Clear the resolution cache (without disposing).
+   * Clear the resolution cache.
+   * Runs the `dispose` cleanup of each evicted instance, but not the
+   * container-wide onDispose() handlers.
    */
-  clearCache(): void
+  clearCache(): Promise<void>
 
   // === Production Reliability ===
 
@@ -155,6 +294,23 @@ export interface Container {
    */
   warmup(factories: Factory<unknown>[]): Promise<this>
 
+  /**
+   * Pre-resolve factories dependencies-first, with a concurrency cap,
+   * timeouts and progress events. Resolves with a report of how long each
+   * factory took; rejects if any failed (an AggregateError if several did).
+   *
+   * @example
+   * ```ts
+   * const report = await app.warmup([userService, cache], {
+   *   graph: app.getDependencyGraph(),
+   *   concurrency: 4,
+   *   timeout: 5000,
+   *   onProgress: (e) => console.log(`${e.type} ${e.name} (${e.completed}/${e.total})`),
+   * })
+   * ```
+   */
+  warmup(factories: Factory<unknown>[], options: WarmupOptions): Promise<WarmupReport>
+
   /**
    * Get a read-only view of the container.
    */
@@ -178,17 +334,71 @@ export declare function createContainer(options?: ContainerOptions): Container
 /**
  * Creates a child container for request-scoped dependencies.
  * Supports `await using` for automatic cleanup.
+ *
+ * Without a parent, the child is created from currentContainer(); outside
+ * runInScope() that throws a DIError.
  */
 export declare function childContainer(
-  parent: Container,
+  parent?: Container,
   options?: ContainerOptions
-): Container & { [Symbol.asyncDispose](): Promise<void> }
+): Container
+
+/**
+ * Run `fn` with `container` as the currentContainer() for everything it
+ * does, including code after an `await`, timers and event handlers it sets
+ * up. Returns what `fn` returns. Scopes nest; the innermost one wins.
+ *
+ * @example
+ * server.on("request", (req, res) => {
+ *   const scope = childContainer(app)
+ *   runInScope(scope, () => handle(req, res))
+ * })
+ */
+export declare function runInScope<R>(container: Container, fn: () => R): R
+
+/**
+ * The container set with runInScope() for the current async context, or
+ * `undefined` outside one. For code far from the composition root that
+ * would otherwise have the container passed down through every call.
+ *
+ * @example
+ * export function audit(event: string) {
+ *   currentContainer()?.get(auditLog).write(event)
+ * }
+ */
+export declare function currentContainer(): Container | undefined
 
 // === Helper Functions ===
 
 // Helper type to extract the return type of a Factory
 type FactoryReturnType<F> = F extends Factory<infer R> ? R : never
 
+/**
+ * Resolve a factory, or `undefined` when it is not provided: overridden
+ * with `absent`, an unbound token, or not resolvable in a frozen container.
+ * Errors thrown by the factory itself still propagate.
+ *
+ * @example
+ * const service = inject(Service, database, optional(metrics))
+ */
+export declare function optional<T>(factory: Factory<T>): Factory<T | undefined>
+
+/**
+ * Like optional(), but falls back to `value` instead of `undefined`.
+ *
+ * @example
+ * const service = inject(Service, withDefault(Logger, console))
+ */
+export declare function withDefault<T, D>(factory: Factory<T>, value: D): Factory<T | D>
+
+/**
+ * Override target that marks a dependency as not provided.
+ *
+ * @example
+ * container.override(metrics, absent)
+ */
+export declare const absent: Factory<never>
+
 /**
  * Create a factory that constructs a class or calls a function with dependencies.
  */
@@ -342,6 +552,51 @@ export declare function inject<T, Deps extends readonly Factory<unknown>[]>(
   ...dependencies: Deps
 ): Factory<T>
 
+/** Resolved values of a record of factories, with async ones awaited. */
+export type ResolvedDeps<D extends Record<string, Factory<unknown>>> = {
+  [K in keyof D]: Awaited<FactoryReturnType<D[K]>>
+}
+
+/** Maps each factory to whether it is async. */
+type AsyncIn<F> = {
+  [K in keyof F]: FactoryReturnType<F[K]> extends Promise<unknown> ? true : false
+}
+
+/**
+ * Like inject(), but passes dependencies as a single object, so
+ * reordering constructor parameters cannot silently swap them.
+ * Async dependencies are awaited in parallel before construction, which
+ * makes the factory async. A failure names the key it came from.
+ *
+ * @example
+ * class UserService {
+ *   constructor({ db, logger }: { db: Database; logger: Logger }) {}
+ * }
+ * const userService = injectObject(UserService, { db, logger })
+ */
+export declare function injectObject<T, D extends Record<string, Factory<unknown>>>(
+  Class: new (deps: ResolvedDeps<D>) => T,
+  deps: D
+): Factory<true extends AsyncIn<D>[keyof D] ? Promise<T> : T>
+export declare function injectObject<T, D extends Record<string, Factory<unknown>>>(
+  fn: (deps: ResolvedDeps<D>) => T,
+  deps: D
+): Factory<true extends AsyncIn<D>[keyof D] ? Promise<Awaited<T>> : T>
+
+export declare namespace inject {
+  /**
+   * Construct a class with no arguments, then assign each dependency to the
+   * property of the same name.
+   *
+   * @example
+   * const report = inject.props(ReportService, { logger, db })
+   */
+  function props<T, D extends { [K in keyof T]?: Factory<T[K]> }>(
+    Class: new () => T,
+    deps: D
+  ): Factory<T>
+}
+
 /**
  * Mark a factory as transient - creates a new instance every time.
  */
@@ -360,18 +615,81 @@ export declare function named<T>(name: string, factory: Factory<T>): Factory<T>
 /**
  * Options for the factory() helper.
  */
-export interface FactoryOptions {
+export interface FactoryOptions<T = any> {
   /**
    * Create a new instance every time (default: false = singleton).
+   * Shorthand for `lifetime: "transient"`.
    */
   transient?: boolean
 
+  /**
+   * Where the instance is cached. Without it, the instance is cached in
+   * whichever container resolves it first and inherited by its children.
+   * Throws CaptiveDependencyError when a singleton depends on a scoped factory.
+   */
+  lifetime?: Lifetime
+
   /**
    * Timeout in milliseconds for async factories.
    */
   timeout?: number
+
+  /**
+   * Clean up the instance this factory created. Runs when the owning
+   * container is disposed, or when the instance is evicted by
+   * clearCache(), override() or the testing plugin's restore().
+   *
+   * Without this option, an instance that implements Symbol.asyncDispose
+   * or Symbol.dispose is disposed through it. Pass `false` when the factory
+   * only hands out something it does not own, such as a request or a
+   * shared module object, so it is never disposed.
+   *
+   * Transient instances are not kept by the container, so combining a
+   * cleanup function with `transient` throws.
+   */
+  dispose?: ((instance: Awaited<T>) => void | Promise<void>) | false
+
+  /**
+   * Initialise the instance after it is created and before it is cached.
+   * If the hook is async, get() returns a promise that settles once it has
+   * finished, and a rejection is handled like a failed async factory.
+   */
+  onInit?: (instance: Awaited<T>, container: Container) => void | Promise<void>
+
+  /**
+   * Health check for the instance. With the health plugin installed, it is
+   * registered under the factory's name once the factory is resolved, and
+   * removed when the container is disposed.
+   * Pass an object to set the health plugin's check options too.
+   */
+  healthCheck?: HealthCheckOption<T>
 }
 
+/**
+ * A factory's health check: a function that throws or rejects when the
+ * instance is unhealthy, optionally with health check options.
+ */
+export type HealthCheckOption<T> =
+  | ((instance: Awaited<T>) => void | Promise<void>)
+  | {
+      check: (instance: Awaited<T>) => void | Promise<void>
+      group?: "liveness" | "readiness"
+      critical?: boolean
+      timeout?: number
+      cacheMs?: number
+    }
+
+/**
+ * Create a factory with an async onInit hook - return type is always Promise.
+ */
+export declare function factory<T>(
+  name: string,
+  fn: (container: Container) => T,
+  options: FactoryOptions<T> & {
+    onInit: (instance: Awaited<T>, container: Container) => Promise<void>
+  }
+): Factory<Promise<Awaited<T>>>
+
 /**
  * Create a factory with common options in one call.
  * This is the recommended way to define factories.
@@ -384,7 +702,7 @@ export interface FactoryOptions {
 export declare function factory<T>(
   name: string,
   fn: (container: Container) => T,
-  options?: FactoryOptions
+  options?: FactoryOptions<T>
 ): Factory<T>
 
 /**
@@ -393,12 +711,63 @@ export declare function factory<T>(
 export declare function factory<T>(
   name: string,
   fn: (container: Container) => T | Promise<T>,
-  options: FactoryOptions & { timeout: number }
+  options: FactoryOptions<T> & { timeout: number }
 ): Factory<Promise<T>>
 
+/**
+ * Attach an onInit hook to any factory, e.g. one built with inject().
+ * An async hook makes resolution async: the instance is cached, and
+ * returned, only after the hook has finished.
+ *
+ * @example
+ * const db = afterCreate(inject(Database, config), (db) => db.connect())
+ * await container.get(db)
+ */
+export declare function afterCreate<T>(
+  factory: Factory<T>,
+  hook: (instance: Awaited<T>, container: Container) => Promise<void>
+): Factory<Promise<Awaited<T>>>
+export declare function afterCreate<T>(
+  factory: Factory<T>,
+  hook: (instance: Awaited<T>, container: Container) => void
+): Factory<T>
+
+/**
+ * Attach per-instance cleanup to any factory, e.g. one built with inject() or named().
+ *
+ * @example
+ * const pool = disposable(inject(Pool, config), (pool) => pool.end())
+ */
+export declare function disposable<T>(
+  factory: Factory<T>,
+  dispose: (instance: Awaited<T>) => void | Promise<void>
+): Factory<T>
+
+
+/**
+ * A source of time and timers.
+ */
+export interface Clock {
+  /** Milliseconds since the epoch, like Date.now() */
+  now(): number
+  setTimeout(fn: () => void, ms: number): unknown
+  clearTimeout(handle: unknown): void
+}
+
+/**
+ * The clock that timeout(), the `timeout` factory option, and the cache and
+ * circuit breaker plugins resolve. Resolves to the system clock; override
+ * it to control time, or use the testing plugin's fakeClock().
+ *
+ * @example
+ * const y2k = Date.parse("2000-01-01")
+ * container.override(clock, () => ({ now: () => y2k, setTimeout, clearTimeout }))
+ */
+export declare const clock: Factory<Clock>
 
 /**
- * Wrap a factory with a timeout.
+ * Wrap a factory with a timeout. The timer runs on the container's
+ * {@link clock}.
  */
 export declare function timeout<T>(
   factory: Factory<T | Promise<T>>,
@@ -413,6 +782,157 @@ export declare function tagged<T>(
   factoryCreator: (tag: string) => Factory<T>
 ): (tag: string) => Factory<T>
 
+/**
+ * Options for warmup().
+ */
+export interface WarmupOptions {
+  /**
+   * Dependency graph used to start leaves first. Accepts the observability
+   * plugin's getDependencyGraph() (or its `edges`), or a discover() result,
+   * whose edges are matched to the given factories by name. Dependencies
+   * found in an observability graph are warmed up too.
+   */
+  graph?:
+    | Map<Factory<any>, Iterable<Factory<any>>>
+    | { edges: Map<Factory<any>, Iterable<Factory<any>>> }
+    | { dependencies: Array<{ from: string; to: string }> }
+
+  /**
+   * Maximum number of factories resolving at once. Must be at least 1.
+   * @default Infinity
+   */
+  concurrency?: number
+
+  /**
+   * Per-factory limit in milliseconds. A factory that takes longer fails
+   * with a TimeoutError.
+   */
+  timeout?: number
+
+  /**
+   * Limit for the whole warmup in milliseconds. Factories still resolving
+   * fail with a TimeoutError; those not yet started are skipped.
+   */
+  deadline?: number
+
+  /**
+   * Called when each factory starts and when it finishes.
+   */
+  onProgress?: (event: WarmupEvent) => void
+}
+
+export interface WarmupEvent {
+  type: "start" | "resolved" | "failed" | "skipped"
+  factory: Factory<unknown>
+  name: string
+  /** Time spent resolving, once it has finished */
+  ms: number
+  error?: unknown
+  /** Factories finished so far, including this one */
+  completed: number
+  total: number
+}
+
+export interface WarmupEntry {
+  factory: Factory<unknown>
+  name: string
+  /** `skipped` when a dependency failed or the deadline passed first */
+  status: "resolved" | "failed" | "skipped"
+  /** Milliseconds after warmup started */
+  startedAt: number
+  ms: number
+  error?: unknown
+}
+
+export interface WarmupReport {
+  totalMs: number
+  /** In the order they were started */
+  factories: WarmupEntry[]
+}
+
+/**
+ * Options for contribute().
+ */
+export interface ContributeOptions {
+  /**
+   * Members are sorted by ascending order; ties keep registration order.
+   * @default 0
+   */
+  order?: number
+
+  /**
+   * Only add the member when the collection is resolved from this
+   * container or one of its children.
+   */
+  container?: Container
+}
+
+/**
+ * Create a collection: a factory that resolves every contributed member, in order.
+ * Resolving it returns a fresh array each time (a promise of one if any member is async);
+ * the members themselves are cached as usual.
+ *
+ * @example
+ * const middleware = collection<Middleware>("Middleware")
+ * contribute(middleware, logging, { order: 10 })
+ * contribute(middleware, auth, { order: 20 })
+ * container.get(middleware) // [logging, auth]
+ */
+export declare function collection<T>(name: string): Factory<T[]>
+
+/**
+ * Add a member to a collection. Returns a function that removes it again.
+ */
+export declare function contribute<T>(
+  collection: Factory<T[]>,
+  factory: Factory<T>,
+  options?: ContributeOptions
+): () => void
+
+/**
+ * A typed key resolved through container.bind() instead of its own function.
+ */
+export interface Token<T> extends Factory<T> {
+  displayName: string
+}
+
+/**
+ * Create a token. Resolving it before it is bound throws a DIError that
+ * lists the tokens that are bound.
+ *
+ * @example
+ * const Cache = token<Cache>("Cache")
+ * container.bind(Cache, redisCache)
+ * container.get(Cache) // Cache
+ */
+export declare function token<T>(name: string): Token<T>
+
+/**
+ * A set of tokens keyed by name, with the type of each key taken from `M`.
+ */
+export interface Registry<M extends Record<string, unknown>> {
+  /** Get the token for a name, creating it on first use. */
+  token<K extends keyof M & string>(name: K): Token<M[K]>
+  /** Whether a token has been created for this name. */
+  has(name: string): boolean
+  /** Names of every token created so far. */
+  names(): (keyof M & string)[]
+  /** Names of the tokens bound in a container or its parents. */
+  bound(container: Container): (keyof M & string)[]
+}
+
+/**
+ * Create a token registry.
+ *
+ * @example
+ * const tokens = registry<{ db: Database; cache: Cache }>()
+ * container.bind(tokens.token("db"), postgres)
+ * container.get(tokens.token("db")) // Database
+ */
+export declare function registry<
+  M extends Record<string, unknown> = Record<string, any>
+>(): Registry<M>
+
 /**
  * Wrap a factory's output with additional behavior.
  */
@@ -1,9 +1,13 @@
 /** @import * as Types from './core.js' */
 /** @import * as Internal from './internal.js' */
 
+import { AsyncLocalStorage } from "node:async_hooks"
 import {
+  DIError,
+  CaptiveDependencyError,
   CircularDependencyError,
   FrozenContainerError,
+  ResolutionError,
   TimeoutError,
 } from "./errors.js"
 
@@ -25,16 +29,452 @@ function runWithInterceptors(factory, interceptors, resolve) {
   return next()
 }
 
+/**
+ * One link in a resolution chain. Frames point at the frame that requested
+ * them, so the chain survives `await` inside async factories.
+ * @typedef {{ factory: Types.Factory<unknown>, parent: Frame | undefined, settled: boolean }} Frame
+ */
+
+/** @type {AsyncLocalStorage<Frame>} */
+const currentFrame = new AsyncLocalStorage()
+
+/**
+ * The container set with runInScope() for the current async context.
+ * @type {AsyncLocalStorage<Types.Container>}
+ */
+const ambientContainer = new AsyncLocalStorage()
+
+/**
+ * Child -> parent links, for helpers that need to walk up the hierarchy.
+ * @type {WeakMap<Types.Container, Types.Container>}
+ */
+const parents = new WeakMap()
+
+/**
+ * Token bindings made with container.bind(), per container.
+ * @type {WeakMap<Types.Container, Map<Types.Factory<unknown>, Types.Factory<unknown>>>}
+ */
+const bindings = new WeakMap()
+
+/** @type {WeakSet<Types.Factory<unknown>>} */
+const tokens = new WeakSet()
+
+/**
+ * Each container's hooks, so that a new child can call its parent's
+ * onChild hooks.
+ * @type {WeakMap<Types.Container, Types.ContainerInternals["hooks"]>}
+ */
+const hooksOf = new WeakMap()
+
+/**
+ * Nearest binding for a token, looking from a container up through its parents.
+ * @param {Types.Container} c
+ * @param {Types.Factory<unknown>} t
+ */
+function findBinding(c, t) {
+  for (let scope = /** @type {Types.Container | undefined} */ (c); scope; scope = parents.get(scope)) {
+    const bound = bindings.get(scope)?.get(t)
+    if (bound) return bound
+  }
+}
+
+/**
+ * Collections and tokens create nothing themselves: they resolve their
+ * members or binding, which a frozen container checks one by one.
+ * @param {Types.Factory<unknown>} f
+ */
+function gathers(f) {
+  return collections.has(f) || tokens.has(f)
+}
+
+/**
+ * Factories still resolving along a chain, outermost first.
+ * @param {Frame | undefined} frame
+ * @returns {Types.Factory<unknown>[]}
+ */
+function pendingChain(frame) {
+  const chain = []
+  for (let f = frame; f; f = f.parent) {
+    if (!f.settled) chain.unshift(f.factory)
+  }
+  return chain
+}
+
+/**
+ * Wraps a raw factory failure in a ResolutionError. DI errors already
+ * explain themselves and pass through untouched, which also keeps a failure
+ * deep in the graph from being wrapped once per level.
+ * @param {Types.Factory<unknown>} factory
+ * @param {unknown} error
+ * @param {Types.Factory<unknown>[]} stack
+ * @returns {Error}
+ */
+function toResolutionError(factory, error, stack) {
+  if (error instanceof DIError) return error
+  const cause = error instanceof Error ? error : new Error(String(error))
+  return new ResolutionError(factory, cause, { stack })
+}
+
+/**
+ * Reads factory metadata, looking through decorators that keep the
+ * original in `_inner`.
+ * @template {"_dispose" | "_lifetime" | "_onInit"} K
+ * @param {Types.Factory<unknown> | undefined} f
+ * @param {K} key
+ * @returns {Types.Factory<unknown>[K]}
+ */
+function metaOf(f, key) {
+  for (; f; f = f._inner) {
+    if (f[key] !== undefined) return f[key]
+  }
+  return undefined
+}
+
+/**
+ * Runs an onInit hook on a freshly created instance. An async hook makes
+ * the result a promise, so the instance is only cached once it is ready.
+ * @param {unknown} value
+ * @param {(instance: any, container: Types.Container) => void | Promise<void>} init
+ * @param {Types.Container} c
+ * @returns {unknown}
+ */
+function initialize(value, init, c) {
+  if (value instanceof Promise) return value.then((instance) => initialize(instance, init, c))
+  const done = init(value, c)
+  return done instanceof Promise ? done.then(() => value) : value
+}
+
+/**
+ * Cleanup for a cached instance: the factory's `dispose` option, or the
+ * instance's own Symbol.asyncDispose / Symbol.dispose. The sync variant is
+ * attached as `.sync` for `using` declarations.
+ * @param {Types.Factory<unknown>} f
+ * @param {unknown} instance
+ * @returns {(Disposer & { sync?: () => void }) | undefined}
+ */
+function cleanupFor(f, instance) {
+  const dispose = metaOf(f, "_dispose")
+  // `dispose: false`: the instance belongs to someone else
+  if (dispose === false) return undefined
+  if (dispose) return () => dispose(instance)
+  if (typeof instance !== "object" || instance === null) return undefined
+
+  const obj = /** @type {Partial<AsyncDisposable & Disposable>} */ (instance)
+  const asyncDispose = obj[Symbol.asyncDispose]
+  const syncDispose = obj[Symbol.dispose]
+  if (typeof asyncDispose !== "function" && typeof syncDispose !== "function") {
+    return undefined
+  }
+
+  /** @type {Disposer & { sync?: () => void }} */
+  const fn =
+    typeof asyncDispose === "function"
+      ? async () => asyncDispose.call(obj)
+      : () => {
+          syncDispose?.call(obj)
+        }
+  if (typeof syncDispose === "function") fn.sync = () => syncDispose.call(obj)
+  return fn
+}
+
+/**
+ * One failure, or an AggregateError when several dependencies failed.
+ * @param {unknown[]} errors
+ */
+function combineErrors(errors) {
+  return errors.length === 1
+    ? errors[0]
+    : new AggregateError(errors, `Failed to resolve ${errors.length} dependencies`)
+}
+
+/**
+ * Resolves every factory, letting async ones run concurrently. Each get()
+ * starts from the caller's frame, so every branch keeps its own cycle
+ * detection and resolution stack. All branches run to completion before
+ * failures are reported.
+ * @param {Types.Container} c
+ * @param {readonly Types.Factory<unknown>[]} factories
+ * @returns {unknown[] | Promise<unknown[]>}
+ */
+function resolveAll(c, factories) {
+  /** @type {Array<{ value?: unknown, error?: unknown, failed?: true }>} */
+  const outcomes = factories.map((f) => {
+    try {
+      return { value: c.get(f) }
+    } catch (error) {
+      return { error, failed: true }
+    }
+  })
+
+  /** @param {typeof outcomes} settled */
+  const finish = (settled) => {
+    const errors = settled.filter((o) => o.failed).map((o) => o.error)
+    if (errors.length) throw combineErrors(errors)
+    return settled.map((o) => o.value)
+  }
+
+  if (!outcomes.some((o) => o.value instanceof Promise)) return finish(outcomes)
+  return Promise.all(
+    outcomes.map((o) =>
+      o.value instanceof Promise
+        ? o.value.then(
+            (value) => ({ value }),
+            (error) => ({ error, failed: /** @type {const} */ (true) })
+          )
+        : o
+    )
+  ).then(finish)
+}
+
+/**
+ * Dependency lookup for warmup(): an observability graph (or its `edges`
+ * map) links factories directly; a discover() result links them by name,
+ * so only factories in the warmup list can be matched.
+ * @param {Types.WarmupOptions["graph"]} graph
+ * @param {readonly Types.Factory<unknown>[]} factories
+ * @returns {(f: Types.Factory<unknown>) => Types.Factory<unknown>[]}
+ */
+function dependencyLookup(graph, factories) {
+  if (!graph) return () => []
+
+  if ("dependencies" in graph) {
+    const byName = new Map(factories.map((f) => [f.displayName || f.name, f]))
+    /** @type {Map<Types.Factory<unknown>, Types.Factory<unknown>[]>} */
+    const edges = new Map()
+    for (const { from, to } of graph.dependencies) {
+      const source = byName.get(from)
+      const target = byName.get(to)
+      if (source && target) edges.set(source, [...(edges.get(source) ?? []), target])
+    }
+    return (f) => edges.get(f) ?? []
+  }
+
+  const edges = graph instanceof Map ? graph : graph.edges
+  return (f) => [...(edges.get(f) ?? [])]
+}
+
+/**
+ * Resolves factories dependencies-first with bounded concurrency, for
+ * warmup() with options. A factory whose dependency failed is skipped.
+ * @param {Types.Container} c
+ * @param {readonly Types.Factory<unknown>[]} factories
+ * @param {Types.WarmupOptions} options
+ * @returns {Promise<Types.WarmupReport>}
+ */
+async function warmupInOrder(c, factories, options) {
+  const { graph, concurrency = Infinity, timeout: perFactory, deadline, onProgress } = options
+  // Anything below 1 would never start a factory and hang
+  if (!(concurrency >= 1)) {
+    throw new DIError(`warmup() concurrency must be at least 1, got ${concurrency}.`)
+  }
+  const dependenciesOf = dependencyLookup(graph, factories)
+
+  // Post-order walk: every factory comes after its dependencies
+  /** @type {Types.Factory<unknown>[]} */
+  const queue = []
+  const included = new Set()
+  /** @param {Types.Factory<unknown>} f */
+  const visit = (f) => {
+    if (included.has(f)) return
+    included.add(f)
+    for (const dep of dependenciesOf(f)) visit(dep)
+    queue.push(f)
+  }
+  for (const f of factories) visit(f)
+
+  const total = queue.length
+  const start = performance.now()
+  /** @type {Map<Types.Factory<unknown>, Types.WarmupEntry>} */
+  const settled = new Map()
+  /** @type {Types.WarmupEntry[]} */
+  const entries = []
+  /** @type {unknown[]} */
+  const errors = []
+
+  /** @param {Types.WarmupEntry} entry @param {Types.WarmupEvent["type"]} type */
+  const emit = (entry, type) =>
+    onProgress?.({
+      type,
+      factory: entry.factory,
+      name: entry.name,
+      ms: entry.ms,
+      error: entry.error,
+      completed: settled.size,
+      total,
+    })
+
+  /** @type {() => void} */
+  let expire = () => {}
+  const expired = new Promise((resolve) => {
+    expire = () => resolve(undefined)
+  })
+  const deadlineTimer = deadline ? setTimeout(expire, deadline) : undefined
+  let timedOut = false
+  expired.then(() => {
+    timedOut = true
+  })
+
+  /** @param {Types.Factory<unknown>} f */
+  const run = async (f) => {
+    /** @type {Types.WarmupEntry} */
+    const entry = {
+      factory: f,
+      name: f.displayName || f.name || "anonymous",
+      status: "resolved",
+      startedAt: performance.now() - start,
+      ms: 0,
+    }
+    entries.push(entry)
+    emit(entry, "start")
+
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    let timer
+    try {
+      const value = c.get(f)
+      if (value instanceof Promise) {
+        /** @type {Promise<unknown>[]} */
+        const racers = [value]
+        if (deadline) {
+          racers.push(
+            expired.then(() => {
+              throw new TimeoutError(f, deadline, { deadline: true })
+            })
+          )
+        }
+        if (perFactory) {
+          racers.push(
+            new Promise((_, reject) => {
+              timer = setTimeout(() => reject(new TimeoutError(f, perFactory)), perFactory)
+            })
+          )
+        }
+        await Promise.race(racers)
+      }
+    } catch (error) {
+      entry.status = "failed"
+      entry.error = error
+      errors.push(error)
+    } finally {
+      clearTimeout(timer)
+    }
+
+    entry.ms = performance.now() - start - entry.startedAt
+    settled.set(f, entry)
+    emit(entry, entry.status)
+  }
+
+  /** @param {Types.Factory<unknown>} f */
+  const skip = (f) => {
+    /** @type {Types.WarmupEntry} */
+    const entry = {
+      factory: f,
+      name: f.displayName || f.name || "anonymous",
+      status: "skipped",
+      startedAt: performance.now() - start,
+      ms: 0,
+    }
+    entries.push(entry)
+    settled.set(f, entry)
+    emit(entry, "skipped")
+  }
+
+  /** @param {Types.Factory<unknown>} f */
+  const ready = (f) => dependenciesOf(f).every((dep) => settled.has(dep))
+
+  try {
+    await new Promise((resolve) => {
+      let running = 0
+      const pump = () => {
+        while (queue.length > 0 && running < concurrency) {
+          let index = queue.findIndex(ready)
+          // Only a cycle in the graph leaves nothing ready; let get() report it
+          if (index === -1 && running === 0) index = 0
+          if (index === -1) break
+
+          const [f] = queue.splice(index, 1)
+          const failedDep = dependenciesOf(f).some((dep) => {
+            const status = settled.get(dep)?.status
+            return status !== undefined && status !== "resolved"
+          })
+          if (timedOut || failedDep) {
+            skip(f)
+            continue
+          }
+
+          running++
+          run(f).then(() => {
+            running--
+            pump()
+          })
+        }
+        if (queue.length === 0 && running === 0) resolve(undefined)
+      }
+      pump()
+    })
+  } finally {
+    clearTimeout(deadlineTimer)
+    expire()
+  }
+
+  if (errors.length) throw combineErrors(errors)
+  return { totalMs: performance.now() - start, factories: entries }
+}
+
+/** @typedef {() => void | Promise<void>} Disposer */
+
+/**
+ * Runs cleanup functions in the given order, collecting failures.
+ * @param {Array<() => void | Promise<void>>} fns
+ */
+async function runDisposers(fns) {
+  const errors = []
+  for (const fn of fns) {
+    try {
+      await fn()
+    } catch (e) {
+      errors.push(e)
+    }
+  }
+  if (errors.length) throw new AggregateError(errors, "Disposal failed")
+}
+
+/**
+ * @param {unknown} error
+ * @param {Types.Factory<unknown>} f
+ */
+function defaultOnDisposeError(error, f) {
+  console.error(`Failed to dispose '${f.displayName || f.name || "anonymous"}':`, error)
+}
+
 /** @type {Internal.createContainerInternal} */
 function createContainerInternal(parent, options = {}) {
-  const { detectCircular = true, interceptors = [] } = options
+  const {
+    detectCircular = true,
+    interceptors = [],
+    negativeCacheMs = 0,
+    onDisposeError = defaultOnDisposeError,
+  } = options
 
   const cache = new Map()
-  const resolving = new Set()
   const overrides = new Map()
+  /** @type {Map<Types.Factory<unknown>, { promise: Promise<unknown>, until: number }>} */
+  const failures = new Map()
 
-  /** @type {Array<() => void | Promise<void>>} */
+  /** @type {Array<Disposer & { sync?: () => void }>} */
   const disposers = []
+  /**
+   * Disposers declared with `dispose`, keyed by the factory whose cached
+   * instance they clean up. They also sit in `disposers` so they keep their
+   * place in LIFO order.
+   * @type {Map<Types.Factory<unknown>, Disposer>}
+   */
+  const instanceDisposers = new Map()
+  /**
+   * The factory that was resolving when each onDispose() handler was
+   * registered, such as a database factory that closes its connection.
+   * @type {WeakMap<Disposer, Types.Factory<unknown>>}
+   */
+  const handlerOwners = new WeakMap()
   /** @type {Types.Factory<unknown>[]} */
   const resolutionStack = []
   /** @type {Types.ContainerInternals['hooks']} */
@@ -43,69 +483,369 @@ function createContainerInternal(parent, options = {}) {
     afterResolve: [],
     onDispose: [],
     onOverride: [],
+    onError: [],
+    onChild: [],
   }
 
   let frozen = false
 
+  /**
+   * The cache of each open checkpoint. An instance in one of them is not
+   * disposed when evicted, since a rollback puts it back.
+   * @type {Map<Types.Factory<unknown>, unknown>[]}
+   */
+  const pinned = []
+
+  /**
+   * Calls a factory inside its own frame so that `get()` calls it makes,
+   * before or after an `await`, know which chain they belong to.
+   * @template T
+   * @param {Types.Factory<T>} f
+   * @param {Frame} frame
+   * @returns {T}
+   */
+  const callInFrame = (f, frame) => currentFrame.run(frame, () => f(container))
+
+  /**
+   * Calls a factory and runs its onInit hook, if any, in the same frame.
+   * @param {Types.Factory<unknown>} f
+   * @param {Types.Factory<unknown>} fn - What to call; a transient's `_inner`
+   * @param {Frame} frame
+   */
+  const create = (f, fn, frame) => {
+    const init = metaOf(f, "_onInit")
+    return callInFrame(init ? (c) => initialize(fn(c), init, c) : fn, frame)
+  }
+
+  /**
+   * Caches a resolved instance and registers its cleanup, if any.
+   * @param {Types.Factory<unknown>} f
+   * @param {unknown} instance
+   */
+  const store = (f, instance) => {
+    cache.set(f, instance)
+    // A factory that hands out the container must not make it dispose itself
+    const fn = instance === container ? undefined : cleanupFor(f, instance)
+    if (!fn) return
+    instanceDisposers.set(f, fn)
+    disposers.push(fn)
+  }
+
+  /**
+   * Drops cached instances, tells onDispose hooks and runs their disposers,
+   * dependents first. Instances an open checkpoint will put back are only
+   * dropped.
+   * @param {Iterable<Types.Factory<unknown>>} factories
+   * @param {(error: unknown, f: Types.Factory<unknown>) => void} [onError]
+   * @returns {Promise<void>}
+   */
+  const evict = (factories, onError = onDisposeError) => {
+    /** @type {Map<Disposer, Types.Factory<unknown>>} */
+    const doomed = new Map()
+    /** @type {Set<Types.Factory<unknown>>} */
+    const disposed = new Set()
+    for (const f of factories) {
+      if (!cache.has(f)) continue
+      const value = cache.get(f)
+      cache.delete(f)
+      const fn = instanceDisposers.get(f)
+      if (fn) {
+        instanceDisposers.delete(f)
+        doomed.set(fn, f)
+      }
+      if (!pinned.some((saved) => saved.has(f) && saved.get(f) === value)) disposed.add(f)
+    }
+    const fns = disposers.filter((fn) => doomed.has(fn)).reverse()
+    for (const fn of fns) disposers.splice(disposers.indexOf(fn), 1)
+
+    for (const f of disposed) {
+      for (const hook of hooks.onDispose) {
+        hook(f)
+      }
+    }
+
+    // Callers are free to ignore the promise, so it never rejects
+    return (async () => {
+      for (const fn of fns) {
+        const f = /** @type {Types.Factory<unknown>} */ (doomed.get(fn))
+        if (!disposed.has(f)) continue
+        try {
+          await fn()
+        } catch (error) {
+          onError(error, f)
+        }
+      }
+    })()
+  }
+
+  /**
+   * Removes disposers for the caller to run, newest first: the onDispose()
+   * handlers registered while `f` was resolving or, without `f`, every
+   * disposer left.
+   * @param {Types.Factory<unknown>} [f]
+   * @returns {Disposer[]}
+   */
+  const takeDisposers = (f) => {
+    const taken = disposers.filter((fn) => !f || handlerOwners.get(fn) === f).reverse()
+    for (const fn of taken) disposers.splice(disposers.indexOf(fn), 1)
+    if (!f) instanceDisposers.clear()
+    return taken
+  }
+
+  /**
+   * Records the container's state, for the returned function to roll back
+   * to. Instances created and disposers registered since then are disposed;
+   * instances evicted since then come back, undisposed.
+   * @returns {() => Promise<void>}
+   */
+  const checkpoint = () => {
+    const saved = {
+      cache: new Map(cache),
+      overrides: new Map(overrides),
+      failures: new Map(failures),
+      disposers: [...disposers],
+      instanceDisposers: new Map(instanceDisposers),
+      hooks: Object.fromEntries(Object.entries(hooks).map(([k, v]) => [k, [...v]])),
+      bindings: new Map(bindings.get(container)),
+      frozen,
+    }
+    const held = new Set(saved.disposers)
+    pinned.push(saved.cache)
+
+    return () => {
+      pinned.splice(pinned.indexOf(saved.cache), 1)
+      const added = disposers.filter((fn) => !held.has(fn)).reverse()
+      // New entries, and re-created ones (a new disposer); a value swapped in
+      // place, like a spy, still stands for the instance it had
+      const created = [...cache.keys()].filter(
+        (f) => !saved.cache.has(f) || instanceDisposers.get(f) !== saved.instanceDisposers.get(f)
+      )
+
+      cache.clear()
+      for (const [k, v] of saved.cache) cache.set(k, v)
+      overrides.clear()
+      for (const [k, v] of saved.overrides) overrides.set(k, v)
+      failures.clear()
+      for (const [k, v] of saved.failures) failures.set(k, v)
+      disposers.splice(0, disposers.length, ...saved.disposers)
+      instanceDisposers.clear()
+      for (const [k, v] of saved.instanceDisposers) instanceDisposers.set(k, v)
+      for (const key of /** @type {Array<keyof typeof hooks>} */ (Object.keys(hooks))) {
+        hooks[key].splice(0, hooks[key].length, .../** @type {any[]} */ (saved.hooks[key]))
+      }
+      if (saved.bindings.size) bindings.set(container, saved.bindings)
+      else bindings.delete(container)
+      frozen = saved.frozen
+      for (const f of created) {
+        for (const hook of hooks.onDispose) {
+          hook(f)
+        }
+      }
+
+      return runDisposers(added)
+    }
+  }
+
+  /**
+   * Forgets everything a disposed container held, after its disposers ran.
+   */
+  const reset = () => {
+    for (const f of cache.keys()) {
+      for (const hook of hooks.onDispose) {
+        hook(f)
+      }
+    }
+    disposers.length = 0
+    instanceDisposers.clear()
+    cache.clear()
+    failures.clear()
+  }
+
+  /**
+   * Reports a failed resolution to onError hooks.
+   * @param {Frame} frame
+   * @param {unknown} error
+   * @returns {Error} The error get() should throw
+   */
+  const fail = (frame, error) => {
+    const wrapped = toResolutionError(frame.factory, error, pendingChain(frame))
+    for (const hook of hooks.onError) {
+      hook(frame.factory, wrapped)
+    }
+    return wrapped
+  }
+
+  /**
+   * Whether a get() for this factory would be served by the parent's cache.
+   * Scoped instances belong to one container and are never inherited.
+   * @param {Types.Factory<unknown>} actualFactory
+   */
+  const inherits = (actualFactory) =>
+    metaOf(actualFactory, "_lifetime") !== "scoped" && (parent?.has(actualFactory) ?? false)
+
+  /**
+   * Whether a factory is missing rather than broken: overridden with
+   * `absent`, an unbound token, or not resolvable because the container is frozen.
+   * @param {Types.Factory<unknown>} f
+   * @returns {boolean}
+   */
+  const isAbsent = (f) => {
+    const actualFactory = overrides.get(f) ?? f
+    if (actualFactory === absent) return true
+    if (tokens.has(actualFactory)) {
+      const bound = findBinding(container, actualFactory)
+      return !bound || isAbsent(bound)
+    }
+    if (!frozen || cache.has(actualFactory) || inherits(actualFactory)) return false
+    const members = collections.get(actualFactory)
+    if (members) return contributionsTo(members, container).some((m) => isAbsent(m.factory))
+    return true
+  }
+
   /** @type {Types.Container} */
   const container = {
     get(factory) {
+      if (factory._fallback) {
+        const { factory: wanted, value } = factory._fallback
+        return isAbsent(wanted) ? value : container.get(wanted)
+      }
+
+      const parentFrame = currentFrame.getStore()
       const actualFactory = overrides.get(factory) ?? factory
+      const lifetime = metaOf(actualFactory, "_lifetime")
+      const inherited = inherits(actualFactory)
 
-      if (frozen && !cache.has(actualFactory) && !parent?.has(actualFactory)) {
+      if (actualFactory === absent) {
+        const name = factory.displayName || factory.name || "anonymous"
+        throw new DIError(
+          `'${name}' is overridden with absent. Resolve it through optional() or withDefault() instead.`
+        )
+      }
+
+      if (frozen && !cache.has(actualFactory) && !inherited && !gathers(actualFactory)) {
         throw new FrozenContainerError(actualFactory)
       }
 
+      // Checked before the cache: an async factory that is still pending sits
+      // in the cache as a promise, and awaiting it from its own chain deadlocks.
+      if (detectCircular) {
+        const chain = pendingChain(parentFrame)
+        if (chain.includes(actualFactory)) {
+          throw new CircularDependencyError([...chain, actualFactory])
+        }
+      }
+
+      // Singletons live in the root, wherever they are first requested
+      if (lifetime === "singleton" && parent) return parent.get(actualFactory)
+
+      if (lifetime === "scoped") {
+        const captor = pendingChain(parentFrame).find(
+          (f) => metaOf(f, "_lifetime") === "singleton"
+        )
+        if (captor) throw new CaptiveDependencyError(captor, actualFactory)
+      }
+
+      // Whoever asked for this factory, known even across an await
+      const dependent = parentFrame?.factory ?? resolutionStack[resolutionStack.length - 1]
       for (const hook of hooks.beforeResolve) {
-        hook(actualFactory)
+        hook(actualFactory, dependent)
       }
 
+      /** @type {Frame} */
+      const frame = { factory: actualFactory, parent: parentFrame, settled: false }
+
       if (actualFactory._transient && actualFactory._inner) {
         resolutionStack.push(actualFactory)
+        let pending = false
         try {
           const start = performance.now()
-          const value = actualFactory._inner(container)
+          const value = create(actualFactory, actualFactory._inner, frame)
+          if (value instanceof Promise) {
+            pending = true
+            // Still part of the chain until it settles, like a pending
+            // singleton; afterResolve waits for the value, onError ends a failure
+            return value
+              .then(
+                (resolved) => {
+                  const ms = performance.now() - start
+                  for (const hook of hooks.afterResolve) {
+                    hook(actualFactory, resolved, ms)
+                  }
+                  return resolved
+                },
+                (error) => {
+                  throw fail(frame, error)
+                }
+              )
+              .finally(() => {
+                frame.settled = true
+              })
+          }
           const ms = performance.now() - start
           for (const hook of hooks.afterResolve) {
             hook(actualFactory, value, ms)
           }
           return value
+        } catch (error) {
+          throw fail(frame, error)
         } finally {
           resolutionStack.pop()
+          if (!pending) frame.settled = true
         }
       }
 
       if (cache.has(actualFactory)) return cache.get(actualFactory)
-      if (parent?.has(actualFactory)) return parent.get(actualFactory)
+      if (inherited) return parent?.get(actualFactory)
 
-      if (detectCircular) {
-        if (resolving.has(actualFactory)) {
-          const chain = [...resolving, actualFactory]
-          throw new CircularDependencyError(chain)
-        }
-        resolving.add(actualFactory)
+      const failure = failures.get(actualFactory)
+      if (failure) {
+        if (Date.now() < failure.until) return failure.promise
+        failures.delete(actualFactory)
       }
 
       resolutionStack.push(actualFactory)
       const start = performance.now()
+      let pending = false
 
-      const resolve = () => {
-        const value = actualFactory(container)
+      const run = () => {
+        const value = create(actualFactory, actualFactory, frame)
 
         if (value instanceof Promise) {
-          const promise = value.then((resolved) => {
-            cache.set(actualFactory, resolved)
-            const ms = performance.now() - start
-            for (const hook of hooks.afterResolve) {
-              hook(actualFactory, resolved, ms)
-            }
-            return resolved
-          })
+          pending = true
+          /** @type {Promise<unknown>} */
+          const promise = value
+            .then(
+              (resolved) => {
+                store(actualFactory, resolved)
+                const ms = performance.now() - start
+                for (const hook of hooks.afterResolve) {
+                  hook(actualFactory, resolved, ms)
+                }
+                return resolved
+              },
+              (error) => {
+                // A rejected promise must not stay cached, or every later
+                // get() replays the same failure until clearCache().
+                if (cache.get(actualFactory) === promise) {
+                  cache.delete(actualFactory)
+                }
+                if (negativeCacheMs > 0) {
+                  failures.set(actualFactory, {
+                    promise,
+                    until: Date.now() + negativeCacheMs,
+                  })
+                }
+                throw fail(frame, error)
+              }
+            )
+            .finally(() => {
+              frame.settled = true
+            })
           cache.set(actualFactory, promise)
           return promise
         }
 
-        cache.set(actualFactory, value)
+        store(actualFactory, value)
         const ms = performance.now() - start
         for (const hook of hooks.afterResolve) {
           hook(actualFactory, value, ms)
@@ -115,46 +855,100 @@ function createContainerInternal(parent, options = {}) {
 
       try {
         return interceptors.length > 0
-          ? runWithInterceptors(actualFactory, interceptors, resolve)
-          : resolve()
+          ? runWithInterceptors(actualFactory, interceptors, run)
+          : run()
+      } catch (error) {
+        throw fail(frame, error)
       } finally {
         resolutionStack.pop()
-        if (detectCircular) resolving.delete(actualFactory)
+        if (!pending) frame.settled = true
       }
     },
 
     onDispose(fn) {
+      const owner = currentFrame.getStore()?.factory ?? resolutionStack[resolutionStack.length - 1]
+      if (owner) handlerOwners.set(fn, owner)
       disposers.push(fn)
     },
 
     async dispose() {
+      const fns = disposers.reverse()
+      /** @type {unknown} */
+      let failure
+      try {
+        await runDisposers(fns)
+      } catch (e) {
+        failure = e
+      }
+      reset()
+      if (failure) throw failure
+    },
+
+    [Symbol.asyncDispose]() {
+      return container.dispose()
+    },
+
+    [Symbol.dispose]() {
       const errors = []
+      let pending = 0
       for (const fn of disposers.reverse()) {
         try {
-          await fn()
+          const result = fn.sync ? fn.sync() : fn()
+          if (result instanceof Promise) pending++
         } catch (e) {
           errors.push(e)
         }
       }
-      for (const f of cache.keys()) {
-        for (const hook of hooks.onDispose) {
-          hook(f)
-        }
+      reset()
+      if (pending) {
+        errors.push(
+          new DIError(
+            `${pending} disposer(s) returned a promise during synchronous disposal. ` +
+              "Use `await using` or `await container.dispose()` for containers with async cleanup."
+          )
+        )
       }
-      disposers.length = 0
-      cache.clear()
       if (errors.length) throw new AggregateError(errors, "Disposal failed")
     },
 
     has(f) {
       const actualFactory = overrides.get(f) ?? f
-      return cache.has(actualFactory) || (parent?.has(actualFactory) ?? false)
+      if (cache.has(actualFactory)) return true
+      if (metaOf(actualFactory, "_lifetime") === "scoped") return false
+      return parent?.has(actualFactory) ?? false
     },
 
     resolver(f) {
       return () => container.get(f)
     },
 
+    getAll(factories) {
+      return /** @type {any} */ (resolveAll(container, factories))
+    },
+
+    async getAllAsync(deps) {
+      const keys = Object.keys(deps)
+      const values = await resolveAll(container, keys.map((key) => deps[key]))
+      return /** @type {any} */ (Object.fromEntries(keys.map((key, i) => [key, values[i]])))
+    },
+
+    bind(t, f) {
+      if (!tokens.has(t)) {
+        const name = t.displayName || t.name || "anonymous"
+        throw new DIError(
+          `'${name}' is not a token. Create it with token("${name}") or registry().token("${name}") before binding it.`
+        )
+      }
+      const own = bindings.get(container) ?? new Map()
+      own.set(t, f)
+      bindings.set(container, own)
+      return container
+    },
+
+    isBound(t) {
+      return findBinding(container, t) !== undefined
+    },
+
     tryGet(f) {
       try {
         return container.get(f)
@@ -164,10 +958,12 @@ function createContainerInternal(parent, options = {}) {
     },
 
     override(f, replacement) {
+      const evicted = evict([overrides.get(f) ?? f])
       overrides.set(f, replacement)
       for (const hook of hooks.onOverride) {
         hook(f, replacement)
       }
+      return evicted
     },
 
     clearOverrides() {
@@ -175,14 +971,22 @@ function createContainerInternal(parent, options = {}) {
     },
 
     clearCache() {
-      cache.clear()
+      const evicted = evict([...cache.keys()])
+      failures.clear()
+      return evicted
     },
 
     freeze() {
       frozen = true
     },
 
-    async warmup(factories) {
+    /**
+     * @param {Types.Factory<unknown>[]} factories
+     * @param {Types.WarmupOptions} [options]
+     * @returns {Promise<any>}
+     */
+    async warmup(factories, options) {
+      if (options) return warmupInOrder(container, factories, options)
       await Promise.all(factories.map((f) => container.get(f)))
       return container
     },
@@ -193,17 +997,37 @@ function createContainerInternal(parent, options = {}) {
         tryGet: (f) => container.tryGet(f),
         has: (f) => container.has(f),
         resolver: (f) => container.resolver(f),
+        getAll: (factories) => container.getAll(factories),
+        getAllAsync: (deps) => container.getAllAsync(deps),
       }
     },
 
     with(plugin) {
-      const internals = { cache, overrides, hooks, resolutionStack, parent }
       const methods = plugin.apply(container, internals)
       Object.assign(container, methods)
       return /** @type {Types.Container & typeof methods} */ (container)
     },
   }
 
+  /** @type {Types.ContainerInternals} */
+  const internals = {
+    cache,
+    overrides,
+    hooks,
+    resolutionStack,
+    parent,
+    evict,
+    checkpoint,
+    takeDisposers,
+  }
+
+  hooksOf.set(container, hooks)
+  if (parent) {
+    parents.set(container, parent)
+    for (const hook of hooksOf.get(parent)?.onChild ?? []) {
+      hook(container, internals)
+    }
+  }
   return container
 }
 
@@ -214,12 +1038,37 @@ export function createContainer(options) {
 
 /** @type {Types.childContainer} */
 export function childContainer(parent, options) {
-  const child =
-    /** @type {Types.Container & { [Symbol.asyncDispose](): Promise<void> }} */ (
-      createContainerInternal(parent, options)
+  const actualParent = parent ?? ambientContainer.getStore()
+  if (!actualParent) {
+    throw new DIError(
+      "childContainer() was called without a parent outside runInScope().\n\n" +
+        "Pass the parent container, or call it inside runInScope(container, fn)."
     )
-  child[Symbol.asyncDispose] = () => child.dispose()
-  return child
+  }
+  return createContainerInternal(actualParent, options)
+}
+
+/** @type {Types.runInScope} */
+export function runInScope(container, fn) {
+  return ambientContainer.run(container, fn)
+}
+
+/** @type {Types.currentContainer} */
+export function currentContainer() {
+  return ambientContainer.getStore()
+}
+
+/**
+ * Calls a class with `new` and a plain function without it.
+ * @param {(new (...args: unknown[]) => unknown) | ((...args: unknown[]) => unknown)} ClassOrFn
+ * @returns {(args: unknown[]) => unknown}
+ */
+function invoker(ClassOrFn) {
+  const desc = Object.getOwnPropertyDescriptor(ClassOrFn, "prototype")
+  const isClass = desc && !desc.writable
+  return isClass
+    ? (args) => Reflect.construct(/** @type {Function} */ (ClassOrFn), args)
+    : (args) => Reflect.apply(/** @type {Function} */ (ClassOrFn), undefined, args)
 }
 
 /**
@@ -228,20 +1077,124 @@ export function childContainer(parent, options) {
  * @returns {Types.Factory<unknown>}
  */
 export function inject(ClassOrFn, ...deps) {
-  const desc = Object.getOwnPropertyDescriptor(ClassOrFn, "prototype")
-  const isClass = desc && !desc.writable
+  const call = invoker(ClassOrFn)
+  return (c) => call(deps.map((d) => c.get(d)))
+}
+
+/** @type {Types.inject['props']} */
+inject.props = function props(Class, deps) {
+  return (c) => {
+    const instance = Reflect.construct(Class, [])
+    const props = /** @type {Record<string, unknown>} */ (instance)
+    for (const [key, d] of Object.entries(deps)) {
+      props[key] = c.get(d)
+    }
+    return instance
+  }
+}
+
+/**
+ * Names the injectObject() key whose dependency failed. A ResolutionError
+ * from deeper down is unwrapped so the cause is not reported twice.
+ * @param {Types.Factory<unknown>} f
+ * @param {string} key
+ * @param {unknown} error
+ */
+function dependencyError(f, key, error) {
+  if (error instanceof ResolutionError) {
+    return new ResolutionError(error.factory, error.cause, { ...error.context, key })
+  }
+  const cause = error instanceof Error ? error : new Error(String(error))
+  return new ResolutionError(f, cause, { key })
+}
+
+/**
+ * @param {(new (deps: any) => unknown) | ((deps: any) => unknown)} ClassOrFn
+ * @param {Record<string, Types.Factory<unknown>>} deps
+ * @returns {Types.Factory<unknown>}
+ */
+export function injectObject(ClassOrFn, deps) {
+  const call = invoker(ClassOrFn)
+  const keys = Object.keys(deps)
+  /** @param {unknown[]} values */
+  const build = (values) => call([Object.fromEntries(keys.map((key, i) => [key, values[i]]))])
+
   return (c) => {
-    const args = deps.map((d) => c.get(d))
-    return isClass
-      ? Reflect.construct(ClassOrFn, args)
-      : Reflect.apply(ClassOrFn, undefined, args)
+    /** @type {unknown[]} */
+    const errors = []
+    const values = keys.map((key) => {
+      try {
+        return c.get(deps[key])
+      } catch (error) {
+        errors.push(dependencyError(deps[key], key, error))
+        return undefined
+      }
+    })
+    if (errors.length) {
+      // Dependencies already started must not reject unhandled
+      for (const v of values) {
+        if (v instanceof Promise) v.catch(() => {})
+      }
+      throw combineErrors(errors)
+    }
+    if (!values.some((v) => v instanceof Promise)) return build(values)
+
+    // Async dependencies are awaited together, before construction
+    return Promise.all(
+      values.map((v, i) =>
+        Promise.resolve(v).catch((error) => {
+          throw dependencyError(deps[keys[i]], keys[i], error)
+        })
+      )
+    ).then(build)
   }
 }
 
+/**
+ * @param {Types.Factory<unknown>} f
+ * @param {(instance: any, container: Types.Container) => void | Promise<void>} hook
+ * @returns {Types.Factory<unknown>}
+ */
+export function afterCreate(f, hook) {
+  const wrapper = (/** @type {Types.Container} */ c) => f(c)
+  wrapper.displayName = f.displayName || f.name
+  wrapper._inner = f
+  wrapper._onInit = hook
+  if (f._transient) wrapper._transient = true
+  return wrapper
+}
+
+/** @type {Types.optional} */
+export function optional(f) {
+  return withDefault(f, undefined)
+}
+
+/** @type {Types.withDefault} */
+export function withDefault(f, value) {
+  // get() handles the fallback itself; the body only runs when the marker
+  // is called directly instead of through a container.
+  /** @type {Types.Factory<any>} */
+  const marker = (c) => c.get(marker)
+  marker.displayName = `optional(${f.displayName || f.name || "anonymous"})`
+  marker._fallback = { factory: f, value }
+  return marker
+}
+
+/**
+ * Override target that marks a dependency as not provided, so optional()
+ * and withDefault() fall back and a plain get() throws.
+ * @type {Types.Factory<never>}
+ */
+export const absent = () => {
+  throw new DIError("absent is an override target and cannot be resolved directly.")
+}
+absent.displayName = "absent"
+
 /** @type {Types.transient} */
 export function transient(f) {
   const wrapper = (/** @type {Types.Container} */ c) => f(c)
   wrapper._transient = true
+  wrapper._lifetime = /** @type {const} */ ("transient")
   wrapper._inner = f
   wrapper.displayName = f.displayName || f.name
   return wrapper
@@ -285,8 +1238,17 @@ export function factory(name, fn, options = {}) {
   /** @type {Types.Factory<unknown>} */
   let result = fn
   result.displayName = name
+  const isTransient = options.transient || options.lifetime === "transient"
+
+  // Transient instances are never cached, so nothing would ever dispose them
+  if (isTransient && typeof options.dispose === "function") {
+    throw new DIError(
+      `'${name}' is transient and has a dispose option, which would never run: the container does not keep transient instances.\n\n` +
+        `Make it a singleton or scoped factory, or clean up where the instance is used.`
+    )
+  }
 
-  if (options.transient) {
+  if (isTransient) {
     result = transient(result)
     result.displayName = name
   }
@@ -296,9 +1258,49 @@ export function factory(name, fn, options = {}) {
     result.displayName = name
   }
 
+  if (options.dispose !== undefined) {
+    result._dispose = options.dispose
+  }
+
+  if (options.lifetime) {
+    result._lifetime = options.lifetime
+  }
+
+  if (options.onInit) {
+    result._onInit = options.onInit
+  }
+
+  if (options.healthCheck) {
+    result._healthCheck = options.healthCheck
+  }
+
   return result
 }
 
+/** @type {Types.Clock} */
+const systemClock = Object.freeze({
+  now: () => Date.now(),
+  setTimeout: (/** @type {() => void} */ fn, /** @type {number} */ ms) => setTimeout(fn, ms),
+  clearTimeout: (/** @type {unknown} */ handle) => clearTimeout(/** @type {any} */ (handle)),
+})
+
+/**
+ * The time source of timeout() and the cache and circuit breaker plugins.
+ * Override it, or use the testing plugin's fakeClock(), to control time.
+ * @type {Types.Factory<Types.Clock>}
+ */
+export const clock = /** @type {Types.Factory<Types.Clock>} */ (factory("Clock", () => systemClock))
+
+/** @type {Types.disposable} */
+export function disposable(f, dispose) {
+  const wrapper = (/** @type {Types.Container} */ c) => f(c)
+  wrapper.displayName = f.displayName || f.name
+  wrapper._inner = f
+  wrapper._dispose = dispose
+  if (f._transient) wrapper._transient = true
+  return wrapper
+}
+
 
 /**
  * Uses @template to type the wrapper function without escape hatch
@@ -313,13 +1315,20 @@ export function timeout(f, ms) {
     const result = f(c)
     if (!(result instanceof Promise)) return result
 
+    const time = c.get(clock)
+    /** @type {unknown} */
+    let timer
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
+      timer = time.setTimeout(() => {
         reject(new TimeoutError(f, ms))
       }, ms)
     })
 
-    return Promise.race([result, timeoutPromise])
+    try {
+      return await Promise.race([result, timeoutPromise])
+    } finally {
+      time.clearTimeout(timer)
+    }
   }
   wrapper.displayName = f.displayName || f.name
   return wrapper
@@ -346,6 +1355,133 @@ export function tagged(namespace, factoryCreator) {
   }
 }
 
+/**
+ * @typedef {{ factory: Types.Factory<unknown>, order: number, seq: number }} Contribution
+ */
+
+/**
+ * Members of each collection: module-level contributions, plus additions
+ * made on a specific container.
+ * @type {WeakMap<Types.Factory<unknown>, { shared: Contribution[], local: WeakMap<Types.Container, Contribution[]> }>}
+ */
+const collections = new WeakMap()
+let contributionSeq = 0
+
+/**
+ * A collection's members as seen from a container, in order.
+ * @param {{ shared: Contribution[], local: WeakMap<Types.Container, Contribution[]> }} members
+ * @param {Types.Container} c
+ */
+function contributionsTo(members, c) {
+  const all = [...members.shared]
+  for (let scope = /** @type {Types.Container | undefined} */ (c); scope; scope = parents.get(scope)) {
+    all.push(...(members.local.get(scope) ?? []))
+  }
+  return all.sort((a, b) => a.order - b.order || a.seq - b.seq)
+}
+
+/**
+ * @template T
+ * @param {string} name
+ * @returns {Types.Factory<T[]>}
+ */
+export function collection(name) {
+  /** @type {{ shared: Contribution[], local: WeakMap<Types.Container, Contribution[]> }} */
+  const members = { shared: [], local: new WeakMap() }
+
+  // Re-assembled on every get() so that child additions and overridden
+  // members are always seen; the members themselves are cached as usual.
+  const assemble = (/** @type {Types.Container} */ c) => {
+    const values = contributionsTo(members, c).map((m) => c.get(m.factory))
+    return values.some((v) => v instanceof Promise) ? Promise.all(values) : values
+  }
+
+  const f = transient(assemble)
+  f.displayName = name
+  f._gathers = true
+  collections.set(f, members)
+  return /** @type {Types.Factory<T[]>} */ (f)
+}
+
+/** @type {Types.contribute} */
+export function contribute(target, f, options = {}) {
+  const members = collections.get(target)
+  if (!members) {
+    const name = target.displayName || target.name || "anonymous"
+    throw new DIError(
+      `'${name}' is not a collection. Create it with collection("${name}") before contributing to it.`
+    )
+  }
+
+  const { order = 0, container } = options
+  /** @type {Contribution} */
+  const entry = { factory: f, order, seq: contributionSeq++ }
+
+  /** @type {Contribution[]} */
+  let list = members.shared
+  if (container) {
+    list = members.local.get(container) ?? []
+    members.local.set(container, list)
+  }
+  list.push(entry)
+
+  return () => {
+    const index = list.indexOf(entry)
+    if (index !== -1) list.splice(index, 1)
+  }
+}
+
+/** @type {Types.token} */
+export function token(name) {
+  // Transient so each container looks up its own binding; the bound
+  // factory is what gets cached.
+  const t = transient((c) => {
+    const bound = findBinding(c, t)
+    if (bound) return c.get(bound)
+
+    const known = new Set()
+    for (let scope = /** @type {Types.Container | undefined} */ (c); scope; scope = parents.get(scope)) {
+      for (const other of bindings.get(scope)?.keys() ?? []) known.add(other.displayName)
+    }
+    throw new DIError(
+      `No binding for token '${name}'.\n\n` +
+        (known.size
+          ? `Bound tokens: ${[...known].join(", ")}`
+          : "No tokens are bound in this container or its parents.") +
+        `\n\nBind it with container.bind(${name}, factory).`
+    )
+  })
+  t.displayName = name
+  t._gathers = true
+  tokens.add(t)
+  return /** @type {Types.Token<any>} */ (t)
+}
+
+/** @type {Types.registry} */
+export function registry() {
+  /** @type {Map<string, Types.Token<any>>} */
+  const byName = new Map()
+  return {
+    token(name) {
+      let t = byName.get(name)
+      if (!t) {
+        t = token(name)
+        byName.set(name, t)
+      }
+      return t
+    },
+    has(name) {
+      return byName.has(name)
+    },
+    names() {
+      return [...byName.keys()]
+    },
+    bound(c) {
+      return [...byName].filter(([, t]) => c.isBound(t)).map(([name]) => name)
+    },
+  }
+}
+
 /** @type {Types.wrap} */
 export function wrap(f, wrapper) {
   const wrapped = (/** @type {Types.Container} */ c) => wrapper(f(c))
@@ -29,7 +29,7 @@ export class ResolutionError extends DIError {
   constructor(
     factory: Factory<any>,
     cause: Error,
-    context?: Record<string, any> & { stack?: Factory<any>[] }
+    context?: Record<string, any> & { stack?: Factory<any>[]; key?: string }
   )
 }
 
@@ -49,3 +49,12 @@ export class FrozenContainerError extends DIError {
   readonly factory: Factory<any>
   constructor(factory: Factory<any>, context?: Record<string, any>)
 }
+
+/**
+ * Thrown when a singleton depends on a scoped factory.
+ */
+export class CaptiveDependencyError extends DIError {
+  readonly singleton: Factory<any>
+  readonly scoped: Factory<any>
+  constructor(singleton: Factory<any>, scoped: Factory<any>, context?: Record<string, any>)
+}
@@ -58,12 +58,13 @@ export class ResolutionError extends DIError {
   /**
    * @param {{ displayName?: string, name?: string }} factory
    * @param {Error} cause
-   * @param {Record<string, unknown> & { stack?: Array<{ displayName?: string, name?: string }> }} [context]
+   * @param {Record<string, unknown> & { stack?: Array<{ displayName?: string, name?: string }>, key?: string }} [context]
    */
   constructor(factory, cause, context = {}) {
     const name = factory.displayName || factory.name || "anonymous"
 
-    const lines = [`Failed to resolve factory '${name}'`, "", `Cause: ${cause.message}`]
+    const injectedAs = context.key ? ` (injected as '${context.key}')` : ""
+    const lines = [`Failed to resolve factory '${name}'${injectedAs}`, "", `Cause: ${cause.message}`]
 
     if (context.stack && context.stack.length > 0) {
       lines.push(
@@ -149,3 +150,38 @@ export class FrozenContainerError extends DIError {
     this.factory = factory
   }
 }
+
+/**
+ * Thrown when a singleton depends on a scoped factory.
+ */
+export class CaptiveDependencyError extends DIError {
+  /**
+   * @param {{ displayName?: string, name?: string }} singleton - The longer-lived factory
+   * @param {{ displayName?: string, name?: string }} scoped - The shorter-lived factory it captured
+   * @param {object} [context]
+   */
+  constructor(singleton, scoped, context = {}) {
+    const outer = singleton.displayName || singleton.name || "anonymous"
+    const inner = scoped.displayName || scoped.name || "anonymous"
+
+    const message = [
+      `Captive dependency: singleton '${outer}' depends on scoped '${inner}'`,
+      "",
+      `'${outer}' is cached in the root container, so it would hold on to the`,
+      `first scope's '${inner}' long after that scope is disposed.`,
+      "",
+      "How to fix:",
+      `  1. Make '${outer}' scoped as well:`,
+      `     factory("${outer}", fn, { lifetime: "scoped" })`,
+      "",
+      `  2. Pass what '${outer}' needs from '${inner}' as a method argument`,
+      "",
+      `  3. If '${inner}' holds no per-scope state, make it a singleton`,
+    ].join("\n")
+
+    super(message, { singleton, scoped, ...context })
+    this.name = "CaptiveDependencyError"
+    this.singleton = singleton
+    this.scoped = scoped
+  }
+}
@@ -5,7 +5,7 @@
  * Provides time-based expiration, stale-while-revalidate, and keyed caching.
  */
 
-import type { Container, Factory, Plugin } from "../core.js"
+import type { Clock, Container, Factory, Plugin } from "../core.js"
 
 // ═══════════════════════════════════════════════════════════════════════════
 // TTL CACHE
@@ -31,6 +31,11 @@ export interface TtlCacheOptions {
    * Callback invoked when a new value is cached (initial or refresh).
    */
   onRefresh?: (value: unknown) => void
+  /**
+   * Where the time comes from.
+   * @default the container's `clock`
+   */
+  clock?: Clock
 }
 
 /**
@@ -85,6 +90,11 @@ export interface SlidingCacheOptions {
    * Callback invoked when a new value is cached.
    */
   onRefresh?: (value: unknown) => void
+  /**
+   * Where the time comes from.
+   * @default the container's `clock`
+   */
+  clock?: Clock
 }
 
 /**
@@ -130,6 +140,11 @@ export interface RefreshAheadOptions<T = unknown> {
    * Callback invoked when a new value is cached.
    */
   onRefresh?: (value: T) => void
+  /**
+   * Where the time comes from.
+   * @default the container's `clock`
+   */
+  clock?: Clock
 }
 
 /**
@@ -188,6 +203,11 @@ export interface KeyedCacheOptions<K = string> {
    * Callback invoked when an entry is evicted (due to maxSize).
    */
   onEvict?: (key: K, value: unknown) => void
+  /**
+   * Where the time comes from.
+   * @default the container's `clock`
+   */
+  clock?: Clock
 }
 
 /**
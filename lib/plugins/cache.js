@@ -5,11 +5,20 @@
 /** @import * as Types from '../core.js' */
 /** @import * as CacheTypes from './cache.js' */
 
+import { clock } from "../core.js"
+
+/**
+ * The clock passed as an option, or else the container's.
+ * @param {Types.Clock | undefined} option
+ * @param {Types.Container} c
+ */
+const clockFor = (option, c) => option ?? c.get(clock)
+
 /**
  * @param {CacheTypes.TtlCacheOptions} options
  */
 export function ttlCache(options) {
-  const { ttlMs, staleWhileRevalidate = false, onRefresh } = options
+  const { ttlMs, staleWhileRevalidate = false, onRefresh, clock: clockOption } = options
 
   /** @type {{ value: unknown, cachedAt: number } | null} */
   let cached = null
@@ -26,7 +35,8 @@ export function ttlCache(options) {
      * @returns {T | Promise<T>}
      */
     const cachedFactory = (c) => {
-      const now = Date.now()
+      const time = clockFor(clockOption, c)
+      const now = time.now()
 
       // Check if we have a valid cached value
       if (cached !== null) {
@@ -44,7 +54,7 @@ export function ttlCache(options) {
             pendingRefresh = Promise.resolve().then(async () => {
               try {
                 const value = await factory(c)
-                cached = { value, cachedAt: Date.now() }
+                cached = { value, cachedAt: time.now() }
                 onRefresh?.(/** @type {T} */ (value))
               } finally {
                 pendingRefresh = null
@@ -63,7 +73,7 @@ export function ttlCache(options) {
       if (value instanceof Promise) {
         // For async factories, cache after resolution
         const promise = value.then((resolved) => {
-          cached = { value: resolved, cachedAt: Date.now() }
+          cached = { value: resolved, cachedAt: time.now() }
           onRefresh?.(resolved)
           return resolved
         })
@@ -89,7 +99,7 @@ export function ttlCache(options) {
  * @param {CacheTypes.SlidingCacheOptions} options
  */
 export function slidingCache(options) {
-  const { ttlMs, onRefresh } = options
+  const { ttlMs, onRefresh, clock: clockOption } = options
 
   /** @type {{ value: unknown, cachedAt: number } | null} */
   let cached = null
@@ -104,7 +114,8 @@ export function slidingCache(options) {
      * @returns {T | Promise<T>}
      */
     const cachedFactory = (c) => {
-      const now = Date.now()
+      const time = clockFor(clockOption, c)
+      const now = time.now()
 
       // Check if we have a valid cached value
       if (cached !== null) {
@@ -122,7 +133,7 @@ export function slidingCache(options) {
 
       if (value instanceof Promise) {
         const promise = value.then((resolved) => {
-          cached = { value: resolved, cachedAt: Date.now() }
+          cached = { value: resolved, cachedAt: time.now() }
           onRefresh?.(resolved)
           return resolved
         })
@@ -148,7 +159,7 @@ export function slidingCache(options) {
  * @param {CacheTypes.RefreshAheadOptions<T>} options
  */
 export function refreshAhead(options) {
-  const { ttlMs, refreshAt, onRefresh } = options
+  const { ttlMs, refreshAt, onRefresh, clock: clockOption } = options
   const refreshThreshold = refreshAt ?? ttlMs * 0.75
 
   /** @type {{ value: unknown, cachedAt: number } | null} */
@@ -165,7 +176,8 @@ export function refreshAhead(options) {
      * @returns {T | Promise<T>}
      */
     const cachedFactory = (c) => {
-      const now = Date.now()
+      const time = clockFor(clockOption, c)
+      const now = time.now()
 
       if (cached !== null) {
         const age = now - cached.cachedAt
@@ -182,7 +194,7 @@ export function refreshAhead(options) {
             pendingRefresh = Promise.resolve().then(async () => {
               try {
                 const value = await factory(c)
-                cached = { value, cachedAt: Date.now() }
+                cached = { value, cachedAt: time.now() }
                 onRefresh?.(/** @type {T} */ (value))
               } finally {
                 pendingRefresh = null
@@ -198,7 +210,7 @@ export function refreshAhead(options) {
 
       if (value instanceof Promise) {
         const promise = value.then((resolved) => {
-          cached = { value: resolved, cachedAt: Date.now() }
+          cached = { value: resolved, cachedAt: time.now() }
           onRefresh?.(resolved)
           return resolved
         })
@@ -230,7 +242,7 @@ const defaultKeyFn = (_container) => "default"
  * @param {CacheTypes.KeyedCacheOptions<K>} options
  */
 export function keyedCache(options) {
-  const { ttlMs, keyFn, maxSize, onEvict } = options
+  const { ttlMs, keyFn, maxSize, onEvict, clock: clockOption } = options
 
   /** @type {Map<K, { value: unknown, cachedAt: number }>} */
   const cache = new Map()
@@ -276,7 +288,8 @@ export function keyedCache(options) {
      */
     const cachedFactory = (c) => {
       const key = keyFn(c)
-      const now = Date.now()
+      const time = clockFor(clockOption, c)
+      const now = time.now()
 
       const entry = cache.get(key)
       if (entry !== undefined) {
@@ -296,7 +309,7 @@ export function keyedCache(options) {
       if (value instanceof Promise) {
         const promise = value.then((resolved) => {
           evictIfNeeded(key, resolved)
-          cache.set(key, { value: resolved, cachedAt: Date.now() })
+          cache.set(key, { value: resolved, cachedAt: time.now() })
           touch(key)
           return resolved
         })
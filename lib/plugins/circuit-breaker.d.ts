@@ -5,7 +5,7 @@
  * Prevents cascading failures by cutting off failing factories.
  */
 
-import type { Container, Factory, Plugin } from "../core.js"
+import type { Clock, Container, Factory, Plugin } from "../core.js"
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CIRCUIT STATE TYPES
@@ -82,6 +82,12 @@ export interface CircuitBreakerOptions {
     oldState: CircuitStateValue,
     newState: CircuitStateValue
   ) => void
+
+  /**
+   * Where the time comes from, for `resetTimeoutMs`.
+   * @default the container's `clock`
+   */
+  clock?: Clock
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
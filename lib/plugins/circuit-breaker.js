@@ -5,6 +5,8 @@
 /** @import * as Types from '../core.js' */
 /** @import * as CBTypes from './circuit-breaker.js' */
 
+import { clock } from "../core.js"
+
 /** @type {CBTypes.CircuitState} */
 export const CircuitState = Object.freeze({
   CLOSED: "CLOSED",
@@ -41,6 +43,7 @@ export function circuitBreaker(name, options = {}) {
     resetTimeoutMs = 30000,
     successThreshold = 2,
     onStateChange,
+    clock: clockOption,
   } = options
 
   /** @type {CBTypes.CircuitStateValue} */
@@ -87,9 +90,11 @@ export function circuitBreaker(name, options = {}) {
   return (factory) => {
     /** @param {Types.Container} c */
     const wrapped = async (c) => {
+      const time = clockOption ?? c.get(clock)
+
       // Check if we should transition from OPEN to HALF_OPEN
       if (state === CircuitState.OPEN) {
-        const timeSinceFailure = Date.now() - lastFailureTime
+        const timeSinceFailure = time.now() - lastFailureTime
         if (timeSinceFailure >= resetTimeoutMs) {
           setState(CircuitState.HALF_OPEN)
           successes = 0
@@ -116,7 +121,7 @@ export function circuitBreaker(name, options = {}) {
         return result
       } catch (error) {
         lastError = /** @type {Error} */ (error)
-        lastFailureTime = Date.now()
+        lastFailureTime = time.now()
         failures++
 
         if (state === CircuitState.HALF_OPEN) {
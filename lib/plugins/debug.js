@@ -60,8 +60,16 @@ function applyDebug(container, internals, options) {
       logger.warn(`[DI WARN] Anonymous factory detected. Use factory() or named() for better debugging.`)
     }
 
-    // Warn when a singleton is resolved in a child container that could have been inherited
-    if (warnings && parent && !factory._transient && !cache.has(factory) && !parent.has(factory)) {
+    // Warn when a singleton is resolved in a child container that could have been inherited.
+    // Factories with an explicit lifetime already resolve where they belong.
+    if (
+      warnings &&
+      parent &&
+      !factory._transient &&
+      !factory._lifetime &&
+      !cache.has(factory) &&
+      !parent.has(factory)
+    ) {
       logger.warn(
         `[DI WARN] Singleton '${name}' resolved in child container. ` +
           `Consider adding it to warmup() at startup so child containers share the same instance.`
@@ -1,19 +1,75 @@
 import { Container, Plugin } from "../core.js"
+import { CircuitStateValue } from "./circuit-breaker.js"
+
+/**
+ * Which probe a check belongs to.
+ * - `liveness`: is the process working at all? A failure means restart it.
+ * - `readiness`: can it serve traffic right now? A failure means stop routing to it.
+ */
+export type HealthGroup = "liveness" | "readiness"
+
+export interface HealthCheckOptions {
+  /**
+   * @default "readiness"
+   */
+  group?: HealthGroup
+
+  /**
+   * A failing non-critical check marks the report `degraded` but keeps it healthy.
+   * @default true
+   */
+  critical?: boolean
+
+  /**
+   * Fail the check if it takes longer than this many milliseconds.
+   */
+  timeout?: number
+
+  /**
+   * Reuse the result for this many milliseconds, so frequent probes do not
+   * hit the dependency every time.
+   * @default 0
+   */
+  cacheMs?: number
+}
 
 export interface HealthCheckResult {
   healthy: boolean
   ms: number
   error?: Error
+  group: HealthGroup
+  critical: boolean
+  /** The result was served from the check's cache */
+  cached?: boolean
+  /** For `circuit:<name>` entries added from the circuit breaker plugin */
+  circuit?: { state: CircuitStateValue; failures: number }
 }
 
+/**
+ * Health checks also come from:
+ * - the `healthCheck` option of factory(), registered under the factory's
+ *   name once it is resolved and removed when the container is disposed
+ * - the circuit breaker plugin, if installed: each circuit is reported as a
+ *   non-critical readiness check `circuit:<name>` that fails while OPEN
+ */
 export interface HealthReport {
+  /** False if any critical check failed */
   healthy: boolean
+  /** `degraded` when only non-critical checks failed */
+  status: "healthy" | "degraded" | "unhealthy"
   checks: Map<string, HealthCheckResult>
 }
 
 export interface HealthMethods {
-  onHealthCheck(name: string, check: () => Promise<void>): void
-  checkHealth(): Promise<HealthReport>
+  onHealthCheck(name: string, check: () => Promise<void>, options?: HealthCheckOptions): void
+  /**
+   * Run checks in parallel: all of them, or one group.
+   */
+  checkHealth(options?: { group?: HealthGroup }): Promise<HealthReport>
+  /** Run the liveness checks. */
+  checkLiveness(): Promise<HealthReport>
+  /** Run the readiness checks. */
+  checkReadiness(): Promise<HealthReport>
 }
 
 export const health: Plugin<HealthMethods>
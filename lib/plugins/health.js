@@ -1,10 +1,100 @@
 /**
  * Health check plugin for production reliability.
- * Adds onHealthCheck() and checkHealth() methods to the container.
+ * Adds onHealthCheck() and checkHealth() methods to the container, plus
+ * checkLiveness() / checkReadiness() for Kubernetes-style probes.
  */
 
 /** @import * as Types from '../core.js' */
 /** @import * as HealthTypes from './health.js' */
+/** @import * as CBTypes from './circuit-breaker.js' */
+
+/**
+ * @typedef {{
+ *   check: () => Promise<void>,
+ *   group: HealthTypes.HealthGroup,
+ *   critical: boolean,
+ *   timeout: number | undefined,
+ *   cacheMs: number,
+ *   cached?: { result: Promise<HealthTypes.HealthCheckResult>, until: number },
+ * }} RegisteredCheck
+ */
+
+/**
+ * Runs one check, failing it if it outlives its timeout.
+ * @param {string} name
+ * @param {RegisteredCheck} entry
+ * @returns {Promise<HealthTypes.HealthCheckResult>}
+ */
+async function runCheck(name, entry) {
+  const { check, group, critical, timeout } = entry
+  const start = performance.now()
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer
+  try {
+    const pending = check()
+    if (timeout !== undefined) {
+      await Promise.race([
+        pending,
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Health check '${name}' timed out after ${timeout}ms`)),
+            timeout
+          )
+        }),
+      ])
+    } else {
+      await pending
+    }
+    return { healthy: true, ms: performance.now() - start, group, critical }
+  } catch (error) {
+    return {
+      healthy: false,
+      ms: performance.now() - start,
+      error: /** @type {Error} */ (error),
+      group,
+      critical,
+    }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/** @param {Types.Factory<unknown>} f */
+const nameOf = (f) => f.displayName || f.name || "anonymous"
+
+/**
+ * A factory's `healthCheck` option, looking through decorators.
+ * @param {Types.Factory<unknown> | undefined} f
+ */
+function healthCheckOf(f) {
+  for (; f; f = f._inner) {
+    if (f._healthCheck) return f._healthCheck
+  }
+}
+
+/**
+ * Circuit breaker states as health results. An open circuit means a
+ * dependency is failing fast, which degrades the service without taking it
+ * out of rotation.
+ * @param {Types.Container} container
+ * @returns {Array<[string, HealthTypes.HealthCheckResult]>}
+ */
+function circuitResults(container) {
+  const circuits = /** @type {Partial<CBTypes.CircuitBreakerMethods>} */ (container)
+  if (typeof circuits.getCircuitHealth !== "function") return []
+
+  return [...circuits.getCircuitHealth().values()].map((circuit) => [
+    `circuit:${circuit.name}`,
+    {
+      healthy: circuit.state !== "OPEN",
+      ms: 0,
+      ...(circuit.state === "OPEN" && circuit.lastError ? { error: circuit.lastError } : {}),
+      group: "readiness",
+      critical: false,
+      circuit: { state: circuit.state, failures: circuit.failures },
+    },
+  ])
+}
 
 /** @type {HealthTypes.health} */
 export const health = {
@@ -15,39 +105,118 @@ export const health = {
    * @param {Types.ContainerInternals} internals
    */
   apply(container, internals) {
-    /** @type {Map<string, () => Promise<void>>} */
+    /** @type {Map<string, RegisteredCheck>} */
     const healthChecks = new Map()
 
+    /**
+     * Registers the checks declared with the factory `healthCheck` option
+     * as instances are resolved, and removes each one when its instance is
+     * evicted or disposed. Child containers are watched too, since scoped
+     * instances only live there.
+     * @param {Types.ContainerInternals} watched
+     */
+    const watch = (watched) => {
+      /** @type {Map<Types.Factory<unknown>, RegisteredCheck>} */
+      const registered = new Map()
+
+      watched.hooks.afterResolve.push((factory, instance) => {
+        const option = healthCheckOf(factory)
+        if (!option) return
+        const { check, ...options } = typeof option === "function" ? { check: option } : option
+        /** @type {RegisteredCheck} */
+        const entry = {
+          check: async () => check(instance),
+          group: options.group ?? "readiness",
+          critical: options.critical ?? true,
+          timeout: options.timeout,
+          cacheMs: options.cacheMs ?? 0,
+        }
+        healthChecks.set(nameOf(factory), entry)
+        registered.set(factory, entry)
+      })
+
+      watched.hooks.onDispose.push((factory) => {
+        const entry = registered.get(factory)
+        if (!entry) return
+        registered.delete(factory)
+        // Another container may have registered a check by the same name since
+        if (healthChecks.get(nameOf(factory)) === entry) healthChecks.delete(nameOf(factory))
+      })
+
+      watched.hooks.onChild.push((child, childInternals) => watch(childInternals))
+    }
+    watch(internals)
+
+    /**
+     * Result of a check, reusing a cached one while it is fresh. Callers
+     * arriving while a check runs share it instead of starting another.
+     * @param {string} name
+     * @param {RegisteredCheck} entry
+     * @returns {Promise<HealthTypes.HealthCheckResult>}
+     */
+    const resultOf = async (name, entry) => {
+      if (entry.cached && performance.now() < entry.cached.until) {
+        return { ...(await entry.cached.result), cached: true }
+      }
+      const result = runCheck(name, entry)
+      if (entry.cacheMs > 0) {
+        entry.cached = { result, until: Infinity }
+        result.then((r) => {
+          if (entry.cached?.result === result) {
+            entry.cached.until = performance.now() + entry.cacheMs
+          }
+          return r
+        })
+      }
+      return result
+    }
+
+    /**
+     * @param {HealthTypes.HealthGroup | undefined} group
+     * @returns {Promise<HealthTypes.HealthReport>}
+     */
+    const runChecks = async (group) => {
+      const selected = [...healthChecks].filter(([, entry]) => !group || entry.group === group)
+      const settled = await Promise.all(selected.map(([name, entry]) => resultOf(name, entry)))
+
+      /** @type {Map<string, HealthTypes.HealthCheckResult>} */
+      const checks = new Map(selected.map(([name], i) => [name, settled[i]]))
+      if (!group || group === "readiness") {
+        for (const [name, result] of circuitResults(container)) checks.set(name, result)
+      }
+
+      const results = [...checks.values()]
+      const healthy = results.every((r) => r.healthy || !r.critical)
+      const degraded = results.some((r) => !r.healthy && !r.critical)
+
+      return {
+        healthy,
+        status: !healthy ? "unhealthy" : degraded ? "degraded" : "healthy",
+        checks,
+      }
+    }
+
     return {
       /**
        * @param {string} name
        * @param {() => Promise<void>} check
+       * @param {HealthTypes.HealthCheckOptions} [options]
        */
-      onHealthCheck(name, check) {
-        healthChecks.set(name, check)
+      onHealthCheck(name, check, options = {}) {
+        const { group = "readiness", critical = true, timeout, cacheMs = 0 } = options
+        healthChecks.set(name, { check, group, critical, timeout, cacheMs })
       },
 
-      async checkHealth() {
-        /** @type {Map<string, HealthTypes.HealthCheckResult>} */
-        const results = new Map()
-        let allHealthy = true
-
-        for (const [name, check] of healthChecks) {
-          const start = performance.now()
-          try {
-            await check()
-            results.set(name, { healthy: true, ms: performance.now() - start })
-          } catch (error) {
-            allHealthy = false
-            results.set(name, {
-              healthy: false,
-              ms: performance.now() - start,
-              error: /** @type {Error} */ (error),
-            })
-          }
-        }
+      checkHealth(options = {}) {
+        return runChecks(options.group)
+      },
+
+      checkLiveness() {
+        return runChecks("liveness")
+      },
 
-        return { healthy: allHealthy, checks: results }
+      checkReadiness() {
+        return runChecks("readiness")
       },
     }
   },
@@ -0,0 +1,87 @@
+/**
+ * HTTP Endpoints - Type Declarations
+ *
+ * Health probes, Prometheus metrics and the dependency graph over HTTP.
+ */
+
+import type { IncomingMessage, ServerResponse } from "node:http"
+import type { Container } from "../core.js"
+
+/**
+ * Where each endpoint is served. Set one to `false` to turn it off.
+ */
+export interface EndpointPaths {
+  /**
+   * Liveness checks from the health plugin.
+   * @default "/healthz"
+   */
+  liveness?: string | false
+
+  /**
+   * Readiness checks from the health plugin, including circuit breaker states.
+   * @default "/readyz"
+   */
+  readiness?: string | false
+
+  /**
+   * Prometheus text from the metrics plugin.
+   * @default "/metrics"
+   */
+  metrics?: string | false
+
+  /**
+   * The resolved dependency graph from the observability plugin, as Mermaid
+   * text, or as JSON with `?format=json` or `Accept: application/json`.
+   * @default "/debug/graph"
+   */
+  graph?: string | false
+}
+
+export interface HttpHandlerOptions {
+  /**
+   * Prefix for every path, e.g. `"/ops"` serves `/ops/healthz`.
+   */
+  basePath?: string
+
+  paths?: EndpointPaths
+}
+
+/**
+ * A node:http request listener. Answers 404 for anything it does not serve.
+ */
+export type HttpHandler = (req: IncomingMessage, res: ServerResponse) => Promise<void>
+
+/**
+ * Connect-style middleware. Calls `next()` for anything it does not serve.
+ */
+export type HttpMiddleware = (
+  req: IncomingMessage,
+  res: ServerResponse,
+  next: (error?: unknown) => void
+) => void
+
+/**
+ * Serve the operational endpoints of whichever plugins are installed:
+ *
+ * | Path | Plugin | Response |
+ * |------|--------|----------|
+ * | `/healthz` | health | liveness report, 503 if unhealthy |
+ * | `/readyz` | health | readiness report, 503 if unhealthy |
+ * | `/metrics` | metrics | Prometheus text |
+ * | `/debug/graph` | observability | Mermaid, or JSON `{ nodes, edges }` |
+ *
+ * An endpoint whose plugin is not installed is treated like an unknown path.
+ *
+ * @example
+ * const app = createContainer().with(health).with(metrics())
+ * http.createServer(httpHandler(app)).listen(9090)
+ */
+export function httpHandler(container: Container, options?: HttpHandlerOptions): HttpHandler
+
+/**
+ * The same endpoints as httpHandler(), as `(req, res, next)` middleware.
+ *
+ * @example
+ * expressApp.use(httpMiddleware(app))
+ */
+export function httpMiddleware(container: Container, options?: HttpHandlerOptions): HttpMiddleware
@@ -0,0 +1,199 @@
+/**
+ * HTTP endpoints for operating a container: health probes, Prometheus
+ * metrics and the dependency graph, served from whichever plugins are
+ * installed. Works with node:http directly, or as (req, res, next)
+ * middleware for Express, Fastify (via @fastify/middie) and the like.
+ */
+
+/** @import * as Types from '../core.js' */
+/** @import * as HttpTypes from './http.js' */
+/** @import * as HealthTypes from './health.js' */
+/** @import * as MetricsTypes from './metrics.js' */
+/** @import * as ObsTypes from './observability.js' */
+/** @import { IncomingMessage, ServerResponse } from 'node:http' */
+
+/** @type {Required<HttpTypes.EndpointPaths>} */
+const DEFAULT_PATHS = {
+  liveness: "/healthz",
+  readiness: "/readyz",
+  metrics: "/metrics",
+  graph: "/debug/graph",
+}
+
+/** @param {Types.Factory<unknown>} f */
+const nameOf = (f) => f.displayName || f.name || "anonymous"
+
+/**
+ * @param {HealthTypes.HealthReport} report
+ */
+function healthBody(report) {
+  return {
+    status: report.status,
+    checks: Object.fromEntries(
+      [...report.checks].map(([name, result]) => [
+        name,
+        {
+          healthy: result.healthy,
+          group: result.group,
+          critical: result.critical,
+          ms: Math.round(result.ms * 100) / 100,
+          ...(result.error ? { error: result.error.message } : {}),
+          ...(result.circuit ? { circuit: result.circuit } : {}),
+        },
+      ])
+    ),
+  }
+}
+
+/**
+ * @param {ObsTypes.DependencyGraph} graph
+ */
+function graphBody(graph) {
+  /** @type {Set<string>} */
+  const nodes = new Set()
+  /** @type {Array<{ from: string, to: string }>} */
+  const edges = []
+  for (const [from, deps] of graph.edges) {
+    nodes.add(nameOf(from))
+    for (const to of deps) {
+      nodes.add(nameOf(to))
+      edges.push({ from: nameOf(from), to: nameOf(to) })
+    }
+  }
+  return { nodes: [...nodes], edges }
+}
+
+/**
+ * Answers one of the endpoints, or returns undefined if the path is not
+ * one of them or the plugin behind it is not installed.
+ * @param {Types.Container} container
+ * @param {Required<HttpTypes.EndpointPaths>} paths
+ * @param {URL} url
+ * @param {string | undefined} accept
+ * @returns {Promise<{ status: number, type: string, body: string } | undefined>}
+ */
+async function respond(container, paths, url, accept) {
+  const health = /** @type {Partial<HealthTypes.HealthMethods>} */ (container)
+  const metrics = /** @type {Partial<MetricsTypes.MetricsMethods>} */ (container)
+  const observability = /** @type {Partial<ObsTypes.ObservabilityMethods>} */ (container)
+  const json = (/** @type {number} */ status, /** @type {unknown} */ value) => ({
+    status,
+    type: "application/json; charset=utf-8",
+    body: JSON.stringify(value, null, 2),
+  })
+
+  switch (url.pathname) {
+    case paths.liveness:
+    case paths.readiness: {
+      if (typeof health.checkHealth !== "function") return
+      const group = url.pathname === paths.liveness ? "liveness" : "readiness"
+      const report = await health.checkHealth({ group })
+      return json(report.healthy ? 200 : 503, healthBody(report))
+    }
+
+    case paths.metrics: {
+      if (typeof metrics.toPrometheus !== "function") return
+      const text = metrics.toPrometheus()
+      return {
+        status: 200,
+        type: "text/plain; version=0.0.4; charset=utf-8",
+        body: text.endsWith("\n") ? text : `${text}\n`,
+      }
+    }
+
+    case paths.graph: {
+      if (typeof observability.getDependencyGraph !== "function") return
+      const graph = observability.getDependencyGraph()
+      const format =
+        url.searchParams.get("format") ??
+        (accept?.includes("application/json") ? "json" : "mermaid")
+      if (format === "json") return json(200, graphBody(graph))
+      return { status: 200, type: "text/plain; charset=utf-8", body: graph.toMermaid() }
+    }
+  }
+}
+
+/**
+ * @param {HttpTypes.HttpHandlerOptions} options
+ * @returns {Required<HttpTypes.EndpointPaths>}
+ */
+function resolvePaths(options) {
+  const base = (options.basePath ?? "").replace(/\/$/, "")
+  const paths = { ...DEFAULT_PATHS, ...options.paths }
+  return /** @type {Required<HttpTypes.EndpointPaths>} */ (
+    Object.fromEntries(
+      Object.entries(paths).map(([key, path]) => [key, path === false ? false : base + path])
+    )
+  )
+}
+
+/**
+ * Serves the endpoint if there is one for this request.
+ * @param {Types.Container} container
+ * @param {Required<HttpTypes.EndpointPaths>} paths
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ * @returns {Promise<boolean>} whether the request was handled
+ */
+async function serve(container, paths, req, res) {
+  const url = new URL(req.url || "/", "http://localhost")
+  const method = req.method || "GET"
+  const known = Object.values(paths).includes(url.pathname)
+  if (!known) return false
+
+  if (method !== "GET" && method !== "HEAD") {
+    res.writeHead(405, { Allow: "GET, HEAD", "Content-Type": "text/plain; charset=utf-8" })
+    res.end("Method Not Allowed\n")
+    return true
+  }
+
+  /** @type {{ status: number, type: string, body: string } | undefined} */
+  let response
+  try {
+    response = await respond(container, paths, url, req.headers.accept)
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error)
+    response = { status: 500, type: "text/plain; charset=utf-8", body: `${message}\n` }
+  }
+  if (!response) return false
+
+  res.writeHead(response.status, {
+    "Content-Type": response.type,
+    "Cache-Control": "no-store",
+  })
+  res.end(method === "HEAD" ? undefined : response.body)
+  return true
+}
+
+/**
+ * @param {Types.Container} container
+ * @param {HttpTypes.HttpHandlerOptions} [options]
+ * @returns {HttpTypes.HttpHandler}
+ */
+export function httpHandler(container, options = {}) {
+  const paths = resolvePaths(options)
+
+  return async (req, res) => {
+    if (await serve(container, paths, req, res)) return
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" })
+    res.end("Not Found\n")
+  }
+}
+
+/**
+ * @param {Types.Container} container
+ * @param {HttpTypes.HttpHandlerOptions} [options]
+ * @returns {HttpTypes.HttpMiddleware}
+ */
+export function httpMiddleware(container, options = {}) {
+  const paths = resolvePaths(options)
+
+  return (req, res, next) => {
+    serve(container, paths, req, res).then(
+      (handled) => {
+        if (!handled) next()
+      },
+      (error) => next(error)
+    )
+  }
+}
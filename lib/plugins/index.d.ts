@@ -1,4 +1,11 @@
-export { health, HealthMethods, HealthReport, HealthCheckResult } from "./health.js"
+export {
+  health,
+  HealthMethods,
+  HealthReport,
+  HealthCheckResult,
+  HealthCheckOptions,
+  HealthGroup,
+} from "./health.js"
 export {
   observability,
   ObservabilityMethods,
@@ -9,11 +16,27 @@ export {
   OverrideHandler,
   ValidationError,
   ValidationReport,
+  ValidateOptions,
+  LifetimeViolation,
 } from "./observability.js"
 export {
   testing,
+  mockFn,
+  spyOn,
+  MockMismatchError,
   TestingMethods,
   ContainerSnapshot,
+  MockFunction,
+  Mock,
+  AutoMockOptions,
+  AutoMockContainer,
+  Spy,
+  SpyCall,
+  MockMismatch,
+  MockVerification,
+  WithMocksOptions,
+  FakeClock,
+  FakeClockOptions,
 } from "./testing.js"
 export { debug, DebugOptions, DebugPlugin } from "./debug.js"
 export {
@@ -68,3 +91,31 @@ export {
   JaegerExport,
   ZipkinSpan,
 } from "./tracing.js"
+export {
+  shutdown,
+  ShutdownOptions,
+  ShutdownRunOptions,
+  ShutdownMethods,
+  ShutdownReport,
+  DisposalEntry,
+  SignalHandlerOptions,
+} from "./shutdown.js"
+export {
+  httpHandler,
+  httpMiddleware,
+  HttpHandlerOptions,
+  EndpointPaths,
+  HttpHandler,
+  HttpMiddleware,
+} from "./http.js"
+export {
+  requestScope,
+  currentScope,
+  currentRequestId,
+  HttpRequest,
+  HttpResponse,
+  RequestId,
+  RequestSignal,
+  RequestScopeOptions,
+  RequestScopeMiddleware,
+} from "./request-scope.js"
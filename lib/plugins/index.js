@@ -12,7 +12,7 @@
 
 export { health } from "./health.js"
 export { observability } from "./observability.js"
-export { testing } from "./testing.js"
+export { testing, mockFn, spyOn, MockMismatchError } from "./testing.js"
 export { debug } from "./debug.js"
 export {
   discover,
@@ -37,3 +37,14 @@ export {
 } from "./cache.js"
 export { metrics } from "./metrics.js"
 export { tracing } from "./tracing.js"
+export { shutdown } from "./shutdown.js"
+export { httpHandler, httpMiddleware } from "./http.js"
+export {
+  requestScope,
+  currentScope,
+  currentRequestId,
+  HttpRequest,
+  HttpResponse,
+  RequestId,
+  RequestSignal,
+} from "./request-scope.js"
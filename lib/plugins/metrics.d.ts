@@ -96,6 +96,7 @@ export interface MetricsMethods {
 
   /**
    * Get the error count for a specific factory.
+   * Failed resolutions are counted automatically.
    *
    * @example
    * ```ts
@@ -141,14 +142,15 @@ export interface MetricsMethods {
 
   /**
    * Manually record an error for a factory.
-   * Useful when catching errors in custom error handlers.
+   * Resolution failures are already counted; use this for errors
+   * raised later, e.g. when calling methods on the resolved instance.
    *
    * @example
    * ```ts
    * try {
-   *   container.get(riskyFactory)
+   *   await api.fetchUsers()
    * } catch (e) {
-   *   container.recordError("riskyFactory")
+   *   container.recordError("ExternalAPI")
    *   throw e
    * }
    * ```
@@ -82,6 +82,13 @@ export function metrics(options = {}) {
         errorCounts.set(name, (errorCounts.get(name) || 0) + 1)
       }
 
+      hooks.onError.push((factory) => {
+        const name = factory.displayName || factory.name || "anonymous"
+        startTimes.delete(factory)
+        activeResolutions--
+        recordError(name)
+      })
+
       /**
        * @param {string} name
        * @param {number[]} observations
@@ -1,4 +1,4 @@
-import { Container, Factory, Plugin } from "../core.js"
+import { Container, Factory, Lifetime, Plugin } from "../core.js"
 
 export type ResolveHandler = (
   factory: Factory<any>,
@@ -27,17 +27,47 @@ export interface ValidationError {
   error: Error
 }
 
+/**
+ * A singleton that holds on to a shorter-lived instance.
+ * Factories without an explicit lifetime count as singletons in a root container.
+ */
+export interface LifetimeViolation {
+  /** The singleton doing the capturing */
+  factory: string
+  /** The shorter-lived factory it captured */
+  dependency: string
+  dependencyLifetime: Exclude<Lifetime, "singleton">
+  /** Factory names from the singleton to the captured dependency */
+  path: string[]
+  message: string
+}
+
+export interface ValidateOptions {
+  /**
+   * Treat lifetime violations as failures: validate() throws and
+   * validateReport() reports `valid: false`.
+   * @default false
+   */
+  strictLifetimes?: boolean
+}
+
 export interface ValidationReport {
   valid: boolean
   errors: ValidationError[]
+  lifetimeViolations: LifetimeViolation[]
 }
 
 export interface ObservabilityMethods {
   on(event: "resolve", handler: ResolveHandler): () => void
   on(event: "dispose", handler: DisposeHandler): () => void
   on(event: "override", handler: OverrideHandler): () => void
-  validate(factories: Factory<any>[]): Promise<void>
-  validateReport(factories: Factory<any>[]): Promise<ValidationReport>
+  validate(factories: Factory<any>[], options?: ValidateOptions): Promise<void>
+  validateReport(factories: Factory<any>[], options?: ValidateOptions): Promise<ValidationReport>
+  /**
+   * Check the recorded dependency graph for singletons that capture
+   * transient or scoped instances.
+   */
+  getLifetimeViolations(): LifetimeViolation[]
   getResolutionContext(): ResolutionContext
   getDependencyGraph(): DependencyGraph
 }
@@ -6,6 +6,24 @@
 /** @import * as Types from '../core.js' */
 /** @import * as ObsTypes from './observability.js' */
 
+/**
+ * Effective lifetime of a factory. Factories without an explicit lifetime
+ * behave as singletons in a root container and as scoped ones in a child.
+ * @param {Types.Factory<unknown>} factory
+ * @param {boolean} isRoot
+ * @returns {Types.Lifetime}
+ */
+function lifetimeOf(factory, isRoot) {
+  for (let f = /** @type {Types.Factory<unknown> | undefined} */ (factory); f; f = f._inner) {
+    if (f._lifetime) return f._lifetime
+  }
+  if (factory._transient) return "transient"
+  return isRoot ? "singleton" : "scoped"
+}
+
+/** @param {Types.Factory<unknown>} f */
+const nameOf = (f) => f.displayName || f.name || "anonymous"
+
 /** @type {ObsTypes.observability} */
 export const observability = {
   name: "observability",
@@ -15,7 +33,7 @@ export const observability = {
    * @param {Types.ContainerInternals} internals
    */
   apply(container, internals) {
-    const { hooks, resolutionStack } = internals
+    const { hooks, resolutionStack, parent } = internals
 
     /** @type {{ resolve: Set<ObsTypes.ResolveHandler>, dispose: Set<ObsTypes.DisposeHandler>, override: Set<ObsTypes.OverrideHandler> }} */
     const listeners = {
@@ -27,13 +45,13 @@ export const observability = {
     /** @type {Map<Types.Factory<unknown>, Set<Types.Factory<unknown>>>} */
     const dependencyEdges = new Map()
 
-    hooks.beforeResolve.push((/** @type {Types.Factory<unknown>} */ factory) => {
-      const parentFactory = resolutionStack[resolutionStack.length - 1]
-      if (parentFactory && parentFactory !== factory) {
-        if (!dependencyEdges.has(parentFactory)) {
-          dependencyEdges.set(parentFactory, new Set())
+    // `dependent` is still known after an await, unlike the top of the stack
+    hooks.beforeResolve.push((factory, dependent) => {
+      if (dependent && dependent !== factory) {
+        if (!dependencyEdges.has(dependent)) {
+          dependencyEdges.set(dependent, new Set())
         }
-        dependencyEdges.get(parentFactory)?.add(factory)
+        dependencyEdges.get(dependent)?.add(factory)
       }
     })
 
@@ -55,6 +73,89 @@ export const observability = {
       }
     })
 
+    /**
+     * Singletons that hold on to shorter-lived instances. Transient
+     * dependencies are followed, since a singleton keeps whatever its
+     * transient dependency captured at construction time. Tokens and
+     * collections are looked through to the factories they resolve.
+     * @param {Iterable<Types.Factory<unknown>>} from
+     * @returns {ObsTypes.LifetimeViolation[]}
+     */
+    const findLifetimeViolations = (from) => {
+      const isRoot = !parent
+      /** @type {ObsTypes.LifetimeViolation[]} */
+      const violations = []
+
+      for (const singleton of from) {
+        if (lifetimeOf(singleton, isRoot) !== "singleton") continue
+
+        const seen = new Set([singleton])
+        /** @type {Array<Types.Factory<unknown>[]>} */
+        const pending = [[singleton]]
+
+        while (pending.length > 0) {
+          const path = /** @type {Types.Factory<unknown>[]} */ (pending.pop())
+          const deps = dependencyEdges.get(path[path.length - 1]) || new Set()
+
+          for (const dep of deps) {
+            if (seen.has(dep)) continue
+            seen.add(dep)
+
+            if (dep._gathers) {
+              pending.push([...path, dep])
+              continue
+            }
+
+            const lifetime = lifetimeOf(dep, isRoot)
+            if (lifetime === "singleton") continue
+
+            const names = [...path, dep].map(nameOf)
+            violations.push({
+              factory: nameOf(singleton),
+              dependency: nameOf(dep),
+              dependencyLifetime: lifetime,
+              path: names,
+              message:
+                `Singleton '${nameOf(singleton)}' captures ${lifetime} '${nameOf(dep)}' ` +
+                `(${names.join(" -> ")})`,
+            })
+
+            if (lifetime === "transient") pending.push([...path, dep])
+          }
+        }
+      }
+
+      return violations
+    }
+
+    /**
+     * Every factory reachable from the given ones in the recorded graph.
+     * @param {Types.Factory<unknown>[]} factories
+     */
+    const reachableFrom = (factories) => {
+      const reached = new Set(factories)
+      for (const factory of reached) {
+        for (const dep of dependencyEdges.get(factory) || []) reached.add(dep)
+      }
+      return reached
+    }
+
+    /** @param {Types.Factory<unknown>[]} factories */
+    const collectErrors = async (factories) => {
+      /** @type {ObsTypes.ValidationError[]} */
+      const errors = []
+      for (const factory of factories) {
+        try {
+          const result = container.get(factory)
+          if (result instanceof Promise) await result
+        } catch (e) {
+          const name = factory.displayName || factory.name || "anonymous"
+          errors.push({ factory: name, error: /** @type {Error} */ (e) })
+        }
+      }
+      return errors
+    }
+
     return {
       /**
        * @param {"resolve" | "dispose" | "override"} event
@@ -68,39 +169,38 @@ export const observability = {
         return () => listeners[event].delete(/** @type {never} */ (handler))
       },
 
-      /** @param {Types.Factory<unknown>[]} factories */
-      async validate(factories) {
-        /** @type {ObsTypes.ValidationError[]} */
-        const errors = []
-        for (const factory of factories) {
-          try {
-            const result = container.get(factory)
-            if (result instanceof Promise) await result
-          } catch (e) {
-            const name = factory.displayName || factory.name || "anonymous"
-            errors.push({ factory: name, error: /** @type {Error} */ (e) })
+      /**
+       * @param {Types.Factory<unknown>[]} factories
+       * @param {ObsTypes.ValidateOptions} [options]
+       */
+      async validate(factories, options = {}) {
+        const errors = await collectErrors(factories)
+        const lines = errors.map((e) => `  ${e.factory}: ${e.error.message}`)
+        if (options.strictLifetimes) {
+          for (const v of findLifetimeViolations(reachableFrom(factories))) {
+            lines.push(`  ${v.message}`)
           }
         }
-        if (errors.length) {
-          const msg = errors.map((e) => `  ${e.factory}: ${e.error.message}`).join("\n")
-          throw new Error(`Validation failed:\n${msg}`)
+        if (lines.length) {
+          throw new Error(`Validation failed:\n${lines.join("\n")}`)
         }
       },
 
-      /** @param {Types.Factory<unknown>[]} factories */
-      async validateReport(factories) {
-        /** @type {ObsTypes.ValidationError[]} */
-        const errors = []
-        for (const factory of factories) {
-          try {
-            const result = container.get(factory)
-            if (result instanceof Promise) await result
-          } catch (e) {
-            const name = factory.displayName || factory.name || "anonymous"
-            errors.push({ factory: name, error: /** @type {Error} */ (e) })
-          }
-        }
-        return { valid: errors.length === 0, errors }
+      /**
+       * @param {Types.Factory<unknown>[]} factories
+       * @param {ObsTypes.ValidateOptions} [options]
+       */
+      async validateReport(factories, options = {}) {
+        const errors = await collectErrors(factories)
+        const lifetimeViolations = findLifetimeViolations(reachableFrom(factories))
+        const valid =
+          errors.length === 0 &&
+          (!options.strictLifetimes || lifetimeViolations.length === 0)
+        return { valid, errors, lifetimeViolations }
+      },
+
+      getLifetimeViolations() {
+        return findLifetimeViolations(dependencyEdges.keys())
       },
 
       getResolutionContext() {
@@ -325,7 +325,8 @@ export declare function retry(
 ): <T>(factory: Factory<T>) => Factory<Promise<T>>
 
 /**
- * Create a timeout decorator for slow factories.
+ * Create a timeout decorator for slow factories. The timer runs on the
+ * container's `clock`.
  *
  * @param ms - Timeout in milliseconds
  *
@@ -1,6 +1,8 @@
 /** @import * as Types from '../core.js' */
 /** @import * as PatternTypes from './patterns.js' */
 
+import { clock } from "../core.js"
+
 /**
  * @template T
  * @param {PatternTypes.Factory<T>} factory
@@ -333,8 +335,11 @@ export function withTimeout(ms) {
       const value = factory(c)
       if (!(value instanceof Promise)) return value
 
+      const time = c.get(clock)
+      /** @type {unknown} */
+      let timer
       const timeout = new Promise((_, reject) => {
-        setTimeout(() => {
+        timer = time.setTimeout(() => {
           reject(
             new Error(
               `Timeout after ${ms}ms resolving ${
@@ -345,7 +350,11 @@ export function withTimeout(ms) {
         }, ms)
       })
 
-      return Promise.race([value, timeout])
+      try {
+        return await Promise.race([value, timeout])
+      } finally {
+        time.clearTimeout(timer)
+      }
     }
     timed.displayName = factory.displayName
     timed._inner = factory
@@ -0,0 +1,89 @@
+/**
+ * Request Scope - Type Declarations
+ *
+ * A child container per HTTP request, disposed when the response is done.
+ */
+
+import type { IncomingMessage, ServerResponse } from "node:http"
+import type { Container, Token } from "../core.js"
+
+/** The incoming request, bound in each request scope. */
+export const HttpRequest: Token<IncomingMessage>
+
+/** The response, bound in each request scope. */
+export const HttpResponse: Token<ServerResponse>
+
+/** The request's ID, bound in each request scope. */
+export const RequestId: Token<string>
+
+/**
+ * Aborted when the client disconnects before the response is sent.
+ * Pass it on to fetch(), database drivers and the like to stop work nobody
+ * is waiting for.
+ */
+export const RequestSignal: Token<AbortSignal>
+
+export interface RequestScopeOptions {
+  /**
+   * Produce the request ID.
+   * @default the `x-request-id` header, or a random UUID
+   */
+  requestId?: (req: IncomingMessage) => string
+
+  /**
+   * Property of `req` the scope is stored on. `false` to leave `req` alone.
+   * @default "scope"
+   */
+  property?: string | false
+
+  /**
+   * Called with each new scope before the rest of the middleware chain,
+   * e.g. to bind more request-specific values.
+   * A rejection is passed to `next()`.
+   */
+  setup?: (scope: Container, req: IncomingMessage, res: ServerResponse) => void | Promise<void>
+
+  /**
+   * Called when disposing a scope fails.
+   * @default logs with console.error
+   */
+  onError?: (error: unknown, req: IncomingMessage) => void
+}
+
+export type RequestScopeMiddleware = (
+  req: IncomingMessage,
+  res: ServerResponse,
+  next: (error?: unknown) => void
+) => void
+
+/**
+ * Middleware that gives each request its own child container of `app`:
+ *
+ * - binds {@link HttpRequest}, {@link HttpResponse}, {@link RequestId} and
+ *   {@link RequestSignal} in it
+ * - stores it on `req.scope`, and makes it the {@link currentScope} and
+ *   the core's `currentContainer()` for the rest of the request
+ * - disposes it once the response has finished, or the client has gone away
+ *
+ * @example
+ * expressApp.use(requestScope(app))
+ *
+ * const requestLogger = factory("RequestLogger", (c) => {
+ *   const id = c.get(RequestId)
+ *   return { log: (msg: string) => console.log(`[${id}] ${msg}`) }
+ * })
+ */
+export function requestScope(app: Container, options?: RequestScopeOptions): RequestScopeMiddleware
+
+/**
+ * The scope of the request being handled, from anywhere in its async
+ * context. Undefined outside a request.
+ */
+export function currentScope(): Container | undefined
+
+/**
+ * The ID of the request being handled, from anywhere in its async context.
+ * Undefined outside a request. The tracing plugin adds it to spans as
+ * `request.id`.
+ */
+export function currentRequestId(): string | undefined
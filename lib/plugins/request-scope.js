@@ -0,0 +1,126 @@
+/**
+ * A child container per HTTP request, as (req, res, next) middleware.
+ * The request, response, request ID and an abort signal are bound as
+ * tokens in the child, which is disposed once the response finishes or the
+ * client goes away. For the rest of the request it is the currentScope(),
+ * and the core's currentContainer().
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks"
+import { randomUUID } from "node:crypto"
+import { childContainer, factory, runInScope, token } from "../core.js"
+
+/** @import * as Types from '../core.js' */
+/** @import * as ScopeTypes from './request-scope.js' */
+/** @import { IncomingMessage, ServerResponse } from 'node:http' */
+
+/** @type {AsyncLocalStorage<{ scope: Types.Container, id: string }>} */
+const activeRequest = new AsyncLocalStorage()
+
+/** @type {Types.Token<IncomingMessage>} */
+export const HttpRequest = token("HttpRequest")
+
+/** @type {Types.Token<ServerResponse>} */
+export const HttpResponse = token("HttpResponse")
+
+/** @type {Types.Token<string>} */
+export const RequestId = token("RequestId")
+
+/** @type {Types.Token<AbortSignal>} */
+export const RequestSignal = token("RequestSignal")
+
+/**
+ * Binds a token to a value that lives and dies with one scope. The scope
+ * doesn't own the value, so it never disposes it: disposing the request
+ * would destroy its keep-alive socket.
+ * @template T
+ * @param {Types.Container} scope
+ * @param {Types.Token<T>} t
+ * @param {T} value
+ */
+function bindValue(scope, t, value) {
+  scope.bind(
+    t,
+    factory(t.displayName || "value", () => value, {
+      lifetime: "scoped",
+      dispose: false,
+    })
+  )
+}
+
+/**
+ * The `x-request-id` header if the client or a proxy set one, otherwise a
+ * random UUID.
+ * @param {IncomingMessage} req
+ */
+function defaultRequestId(req) {
+  const header = req.headers["x-request-id"]
+  return (Array.isArray(header) ? header[0] : header) || randomUUID()
+}
+
+/**
+ * @param {unknown} error
+ */
+function defaultOnError(error) {
+  console.error("Failed to dispose request scope:", error)
+}
+
+/** @type {ScopeTypes.currentScope} */
+export function currentScope() {
+  return activeRequest.getStore()?.scope
+}
+
+/** @type {ScopeTypes.currentRequestId} */
+export function currentRequestId() {
+  return activeRequest.getStore()?.id
+}
+
+/** @type {ScopeTypes.requestScope} */
+export function requestScope(app, options = {}) {
+  const {
+    requestId = defaultRequestId,
+    property = "scope",
+    setup,
+    onError = defaultOnError,
+  } = options
+
+  return (req, res, next) => {
+    const scope = childContainer(app)
+    const controller = new AbortController()
+    const id = requestId(req)
+
+    bindValue(scope, HttpRequest, req)
+    bindValue(scope, HttpResponse, res)
+    bindValue(scope, RequestId, id)
+    bindValue(scope, RequestSignal, controller.signal)
+
+    let disposed = false
+    const dispose = () => {
+      if (disposed) return
+      disposed = true
+      scope.dispose().catch((error) => onError(error, req))
+    }
+
+    res.once("finish", dispose)
+    res.once("close", () => {
+      // Closed before the response was sent: the client went away
+      if (!res.writableFinished) {
+        controller.abort(new Error(`Request ${id} was aborted by the client`))
+      }
+      dispose()
+    })
+
+    if (property) {
+      Object.defineProperty(req, property, { value: scope, configurable: true, writable: true })
+    }
+
+    activeRequest.run({ scope, id }, () =>
+      runInScope(scope, () => {
+        if (!setup) return next()
+        Promise.resolve()
+          .then(() => setup(scope, req, res))
+          .then(() => next(), next)
+      })
+    )
+  }
+}
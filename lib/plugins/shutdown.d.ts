@@ -0,0 +1,102 @@
+/**
+ * Shutdown Plugin - Type Declarations
+ *
+ * Graceful, dependency-ordered disposal with timeouts.
+ */
+
+import type { Factory, Plugin } from "../core.js"
+
+/**
+ * Options for the shutdown plugin. Both can be overridden per shutdown() call.
+ */
+export interface ShutdownOptions {
+  /**
+   * Limit for the whole shutdown in milliseconds.
+   * @default 30000
+   */
+  timeout?: number
+
+  /**
+   * Limit for each instance's cleanup, and each onDispose() handler, in
+   * milliseconds. A cleanup that takes longer is reported as `timeout` and
+   * no longer waited for.
+   * @default 10000
+   */
+  disposerTimeout?: number
+}
+
+export interface ShutdownRunOptions extends ShutdownOptions {
+  /**
+   * The process signal that triggered the shutdown, recorded in the report.
+   */
+  signal?: string
+}
+
+export interface DisposalEntry {
+  /** Undefined for the container's onDispose() handlers */
+  factory: Factory<unknown> | undefined
+  name: string
+  status: "disposed" | "failed" | "timeout"
+  ms: number
+  error?: unknown
+}
+
+export interface ShutdownReport {
+  signal: string | undefined
+  ms: number
+  /** The overall timeout passed before every cleanup finished */
+  timedOut: boolean
+  /** No cleanup failed or timed out */
+  ok: boolean
+  /** In the order they finished */
+  disposed: DisposalEntry[]
+  errors: unknown[]
+}
+
+export interface SignalHandlerOptions {
+  /**
+   * Exit the process once shutdown completes: code 0 if the report is ok, 1 otherwise.
+   * @default true
+   */
+  exit?: boolean
+
+  /**
+   * Called with the signal before shutdown starts, e.g. to stop accepting
+   * new connections.
+   */
+  beforeShutdown?: (signal: string) => void | Promise<void>
+
+  /**
+   * Called with the report before the process exits.
+   */
+  onShutdown?: (report: ShutdownReport) => void | Promise<void>
+}
+
+export interface ShutdownMethods {
+  /**
+   * Dispose cached instances dependents-first, running independent branches
+   * in parallel, then the container's onDispose() handlers. A handler
+   * registered while a factory was resolving runs with that factory's instance.
+   * Never rejects; failures and timeouts are in the report.
+   * Calling it again returns the same promise.
+   */
+  shutdown(options?: ShutdownRunOptions): Promise<ShutdownReport>
+
+  /**
+   * Run shutdown() when the process receives one of these signals.
+   * The handlers are removed once one fires, so a second signal falls back
+   * to Node's default and terminates immediately.
+   * Returns a function that removes the handlers.
+   * @default signals ["SIGTERM", "SIGINT"]
+   */
+  handleSignals(signals?: NodeJS.Signals[], options?: SignalHandlerOptions): () => void
+}
+
+/**
+ * Create a shutdown plugin.
+ *
+ * @example
+ * const app = createContainer().with(shutdown({ timeout: 15000 }))
+ * app.handleSignals()
+ */
+export function shutdown(options?: ShutdownOptions): Plugin<ShutdownMethods>
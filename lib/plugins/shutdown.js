@@ -0,0 +1,234 @@
+/**
+ * Graceful shutdown plugin.
+ * Disposes cached instances dependents-first along the recorded dependency
+ * graph, running independent branches in parallel, with per-disposer and
+ * overall timeouts. onDispose() handlers a factory registered go with its
+ * instance; the rest run last.
+ */
+
+import { TimeoutError } from "../errors.js"
+
+/** @import * as Types from '../core.js' */
+/** @import * as ShutdownTypes from './shutdown.js' */
+
+/**
+ * Resolves to `"timeout"` after `ms`, unless `ms` is Infinity.
+ * @param {number} ms
+ * @returns {{ promise: Promise<"timeout">, cancel: () => void }}
+ */
+function deadline(ms) {
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer
+  /** @type {Promise<"timeout">} */
+  const promise = new Promise((resolve) => {
+    if (Number.isFinite(ms)) timer = setTimeout(() => resolve("timeout"), ms)
+  })
+  return { promise, cancel: () => clearTimeout(timer) }
+}
+
+/**
+ * @param {ShutdownTypes.ShutdownOptions} [options]
+ * @returns {Types.Plugin<ShutdownTypes.ShutdownMethods>}
+ */
+export function shutdown(options = {}) {
+  const { timeout: defaultTimeout = 30000, disposerTimeout: defaultDisposerTimeout = 10000 } =
+    options
+
+  return {
+    name: "shutdown",
+
+    /**
+     * @param {Types.Container} container
+     * @param {Types.ContainerInternals} internals
+     */
+    apply(container, internals) {
+      const { cache, hooks, evict, takeDisposers } = internals
+
+      // factory -> the factories it resolved
+      /** @type {Map<Types.Factory<unknown>, Set<Types.Factory<unknown>>>} */
+      const dependencies = new Map()
+
+      hooks.beforeResolve.push((factory, dependent) => {
+        if (!dependent) return
+        const deps = dependencies.get(dependent) ?? new Set()
+        deps.add(factory)
+        dependencies.set(dependent, deps)
+      })
+
+      /** @type {Promise<ShutdownTypes.ShutdownReport> | undefined} */
+      let inProgress
+
+      /**
+       * @param {ShutdownTypes.ShutdownRunOptions} runOptions
+       * @returns {Promise<ShutdownTypes.ShutdownReport>}
+       */
+      const run = async (runOptions) => {
+        const {
+          signal,
+          timeout = defaultTimeout,
+          disposerTimeout = defaultDisposerTimeout,
+        } = runOptions
+        const start = performance.now()
+        const overall = deadline(timeout)
+        /** @type {ShutdownTypes.DisposalEntry[]} */
+        const entries = []
+        let timedOut = false
+
+        // Only this container's own instances; a dependency counts as
+        // blocked until every cached factory that resolved it is gone.
+        const owned = [...cache.keys()]
+        /** @type {Map<Types.Factory<unknown>, number>} */
+        const dependents = new Map(owned.map((f) => [f, 0]))
+        for (const f of owned) {
+          for (const dep of dependencies.get(f) ?? []) {
+            if (dependents.has(dep)) dependents.set(dep, (dependents.get(dep) ?? 0) + 1)
+          }
+        }
+
+        /**
+         * Runs one cleanup under the per-disposer and overall timeouts.
+         * @param {Types.Factory<unknown> | undefined} f - Undefined for an onDispose() handler
+         * @param {(report: (error: unknown) => void) => Promise<void>} cleanup
+         */
+        const disposeOne = async (f, cleanup) => {
+          const name = f ? f.displayName || f.name || "anonymous" : "onDispose"
+          const began = performance.now()
+          const limit = deadline(disposerTimeout)
+          /** @type {ShutdownTypes.DisposalEntry} */
+          const entry = { factory: f, name, status: "disposed", ms: 0 }
+          const disposal = cleanup((error) => {
+            // Too late to count once the disposer has been reported as timed out
+            if (entry.status === "timeout") return
+            entry.status = "failed"
+            entry.error = error
+          })
+          const outcome = await Promise.race([disposal, limit.promise, overall.promise])
+          limit.cancel()
+          if (outcome === "timeout") {
+            entry.status = "timeout"
+            entry.error = new TimeoutError(f ?? { displayName: name }, disposerTimeout)
+          }
+          entry.ms = performance.now() - began
+          entries.push(entry)
+        }
+
+        /**
+         * @param {Array<() => void | Promise<void>>} handlers
+         * @param {(error: unknown) => void} report
+         */
+        const runHandlers = async (handlers, report) => {
+          for (const fn of handlers) {
+            try {
+              await fn()
+            } catch (error) {
+              report(error)
+            }
+          }
+        }
+
+        // An instance goes together with the onDispose() handlers its
+        // factory registered, like a database factory closing its pool.
+        /** @param {Types.Factory<unknown>} f */
+        const disposeFactory = (f) => {
+          const handlers = takeDisposers(f)
+          return disposeOne(f, async (report) => {
+            await evict([f], report)
+            await runHandlers(handlers, report)
+          })
+        }
+
+        // Container-wide onDispose() handlers, newest first, then anything
+        // left behind
+        const disposeRest = async () => {
+          for (const fn of takeDisposers()) {
+            await disposeOne(undefined, (report) => runHandlers([fn], report))
+          }
+          try {
+            await container.dispose()
+          } catch (error) {
+            entries.push({ factory: undefined, name: "onDispose", status: "failed", ms: 0, error })
+          }
+        }
+
+        const disposeAll = new Promise((resolve) => {
+          const remaining = new Set(owned)
+          let running = 0
+          const pump = () => {
+            let ready = [...remaining].filter((f) => dependents.get(f) === 0)
+            // Only a cycle leaves nothing ready; fall back to the oldest entry
+            if (ready.length === 0 && running === 0 && remaining.size > 0) {
+              ready = [...remaining].slice(0, 1)
+            }
+            for (const f of ready) {
+              remaining.delete(f)
+              running++
+              disposeFactory(f).then(() => {
+                running--
+                for (const dep of dependencies.get(f) ?? []) {
+                  if (remaining.has(dep)) dependents.set(dep, (dependents.get(dep) ?? 1) - 1)
+                }
+                pump()
+              })
+            }
+            if (remaining.size === 0 && running === 0) resolve(undefined)
+          }
+          pump()
+        })
+
+        if ((await Promise.race([disposeAll, overall.promise])) === "timeout") {
+          timedOut = true
+        } else if ((await Promise.race([disposeRest(), overall.promise])) === "timeout") {
+          timedOut = true
+        }
+        overall.cancel()
+
+        const errors = entries.filter((e) => e.error).map((e) => e.error)
+        if (timedOut) errors.push(new TimeoutError({ displayName: "shutdown" }, timeout))
+
+        return {
+          signal,
+          ms: performance.now() - start,
+          timedOut,
+          ok: errors.length === 0,
+          disposed: entries,
+          errors,
+        }
+      }
+
+      /** @type {ShutdownTypes.ShutdownMethods["shutdown"]} */
+      const shutdownOnce = (runOptions = {}) => {
+        inProgress ??= run(runOptions)
+        return inProgress
+      }
+
+      return {
+        shutdown: shutdownOnce,
+
+        handleSignals(signals = ["SIGTERM", "SIGINT"], handlerOptions = {}) {
+          const { exit = true, beforeShutdown, onShutdown } = handlerOptions
+          /** @type {Map<string, () => Promise<void>>} */
+          const listeners = new Map()
+
+          const uninstall = () => {
+            for (const [signal, listener] of listeners) process.off(signal, listener)
+            listeners.clear()
+          }
+
+          for (const signal of signals) {
+            const listener = async () => {
+              uninstall()
+              await beforeShutdown?.(signal)
+              const report = await shutdownOnce({ signal })
+              await onShutdown?.(report)
+              if (exit) process.exit(report.ok ? 0 : 1)
+            }
+            listeners.set(signal, listener)
+            process.once(signal, listener)
+          }
+
+          return uninstall
+        },
+      }
+    },
+  }
+}
@@ -1,16 +1,239 @@
-import { Container, Factory, Plugin } from "../core.js"
+import { Clock, Container, Factory, Plugin, WarmupOptions } from "../core.js"
+import { DIError } from "../errors.js"
 
 export interface ContainerSnapshot {
   cache: Map<Factory<any>, any>
   overrides: Map<Factory<any>, Factory<any>>
 }
 
+/**
+ * A plain function that records its calls. Works with any test runner.
+ */
+export interface MockFunction<A extends any[] = any[], R = any> {
+  (...args: A): R
+  /** Arguments of every call, oldest first */
+  calls: A[]
+  /** Arguments of the most recent call */
+  readonly lastCall: A | undefined
+  /** Return `value` from now on */
+  mockReturnValue(value: R): this
+  /** Call `fn` from now on */
+  mockImplementation(fn: (...args: A) => R): this
+  /** Forget calls and configured behaviour */
+  mockReset(): this
+}
+
+/**
+ * A stub standing in for an instance of `T`: its methods are mock
+ * functions, and it is callable itself. Properties that are not methods can
+ * be assigned.
+ */
+export type Mock<T> = {
+  [K in keyof T]: T[K] extends (...args: infer A) => infer R ? MockFunction<A, R> : T[K]
+} & MockFunction
+
+export interface AutoMockOptions {
+  /**
+   * Where the unit's dependencies are listed, so their mocks exist before it
+   * is resolved. Same forms as warmup()'s `graph`.
+   * @default the observability plugin's graph, if installed
+   */
+  graph?: WarmupOptions["graph"]
+
+  /**
+   * Dependencies to resolve for real instead of stubbing.
+   */
+  keep?: Factory<any>[]
+}
+
+export interface AutoMockContainer extends Container, TestingMethods {
+  /** Mocks by factory name */
+  mocks: Map<string, Mock<any>>
+  /** The mock for a dependency, created if it does not exist yet */
+  mockOf<T>(factory: Factory<T>): Mock<Awaited<T>>
+  mockOf(name: string): Mock<any>
+}
+
+/**
+ * A difference between a mock and the real instance. `expected` and
+ * `actual` describe each side, e.g. `async function(2)`, `number` or
+ * `missing`.
+ */
+export interface MockMismatch {
+  /** Member name, or `(instance)` / `(factory)` for the value itself */
+  property: string
+  expected: string
+  actual: string
+}
+
+export interface MockVerification {
+  ok: boolean
+  mismatches: MockMismatch[]
+}
+
+export interface WithMocksOptions {
+  /**
+   * Check each mock against its real factory when it is resolved, and throw
+   * a {@link MockMismatchError} if their shapes differ. The real factory is
+   * resolved too, in a scratch child container.
+   * @default false
+   */
+  strict?: boolean
+}
+
+/**
+ * Thrown by strict withMocks() when a mock does not have the shape of the
+ * instance it replaces.
+ */
+export declare class MockMismatchError extends DIError {
+  name: "MockMismatchError"
+  factory: Factory<any>
+  mismatches: MockMismatch[]
+  constructor(factory: Factory<any>, mismatches: MockMismatch[])
+}
+
+/**
+ * A {@link Clock} that stands still until advanced.
+ */
+export interface FakeClock extends Clock {
+  /**
+   * Move time forward by `ms`, firing timers that fall due on the way, in
+   * order. Resolves once promise chains those timers started have settled.
+   */
+  advance(ms: number): Promise<void>
+  /** Timers that have not fired or been cleared yet */
+  readonly pending: number
+}
+
+export interface FakeClockOptions {
+  /**
+   * The time to start at, in milliseconds since the epoch.
+   * @default 0
+   */
+  now?: number
+}
+
 export interface TestingMethods {
   withMocks(
-    mocks: Array<[Factory<any>, Factory<any>]> | Map<Factory<any>, Factory<any>>
+    mocks: Array<[Factory<any>, Factory<any>]> | Map<Factory<any>, Factory<any>>,
+    options?: WithMocksOptions
   ): Container
+
+  /**
+   * Resolve `real` and `mock` in a scratch child container and compare
+   * their public shapes: member names, property types, and for methods
+   * how many parameters they declare. A mock method may declare fewer
+   * parameters than the real one, and mockFn() functions match any method.
+   * A mock for an `async` method must be `async` too; an `async` mock for a
+   * plain method is accepted, since it may return a promise.
+   *
+   * @example
+   * const { ok, mismatches } = await container.verifyMock(database, () => fakeDatabase)
+   * assert.ok(ok, JSON.stringify(mismatches))
+   */
+  verifyMock<T>(real: Factory<T>, mock: Factory<unknown>): Promise<MockVerification>
+
+  /**
+   * A child container in which `unit` is resolved with a stub for every
+   * dependency it asks for, except those in `keep`. Dependencies found in
+   * the graph have their mocks ready before the unit is resolved.
+   *
+   * @example
+   * const test = container.autoMock(userService)
+   * test.mockOf(database).query.mockReturnValue([{ id: 1 }])
+   *
+   * test.get(userService).findAll()
+   * assert.deepStrictEqual(test.mockOf(database).query.lastCall, ["SELECT * FROM users"])
+   */
+  autoMock<T>(unit: Factory<T>, options?: AutoMockOptions): AutoMockContainer
+
+  /**
+   * Override {@link clock} in this container with a fake one, for every
+   * timeout(), cache and circuit breaker that resolves through it or its
+   * children. Returns the fake, which can also be passed as a `clock` option.
+   *
+   * @example
+   * const time = container.fakeClock()
+   * container.get(rates) // cached for a minute
+   * await time.advance(60_000)
+   * container.get(rates) // fetched again
+   */
+  fakeClock(options?: FakeClockOptions): FakeClock
+
+  /**
+   * Copies the cache and overrides. For disposers, hooks, bindings and the
+   * frozen flag too, use transaction().
+   */
   snapshot(): ContainerSnapshot
-  restore(snapshot: ContainerSnapshot): void
+  restore(snapshot: ContainerSnapshot): Promise<void>
+
+  /**
+   * Run `fn`, then roll the container back to how it was before, whether
+   * `fn` succeeded or threw. Everything done to the container in between is
+   * undone: resolutions, overrides, bindings, onDispose() handlers, plugin
+   * hooks and freeze(). Instances created inside are disposed, as are child
+   * containers from withMocks() and autoMock(); instances evicted inside are
+   * put back without having been disposed.
+   *
+   * @example
+   * await container.transaction(async (tx) => {
+   *   tx.override(database, () => fakeDb)
+   *   await tx.get(userService).register("alice")
+   * })
+   * // database is real again, userService is gone
+   */
+  transaction<R>(fn: (tx: Container & TestingMethods) => R | Promise<R>): Promise<Awaited<R>>
+}
+
+/**
+ * One recorded method call.
+ */
+export interface SpyCall {
+  method: string
+  args: unknown[]
+  /** The return value, or what the returned promise resolved to */
+  result?: unknown
+  /** Whether it threw, or the returned promise rejected */
+  threw: boolean
+  error?: unknown
+  /** The method returned a promise; `ms` covers the time until it settled */
+  async?: boolean
+  ms: number
 }
 
+export interface Spy<T> {
+  /** The recording proxy, which the container now hands out */
+  instance: T
+  /** Every call, in the order they were made */
+  calls: SpyCall[]
+  callsTo(method: keyof T & string): SpyCall[]
+  callCount(method?: keyof T & string): number
+  /** Forget recorded calls */
+  reset(): void
+  /** Hand out the real instance again. The testing plugin's restore() does this too. */
+  restore(): void
+}
+
+/**
+ * Record calls to the methods of a factory's instance without replacing it.
+ * The container's cached instance is swapped for a recording proxy, so
+ * anything that resolves the factory afterwards goes through the spy;
+ * instances resolved before hold on to the real one. The container needs
+ * the testing plugin. Singletons are spied on in the root container that
+ * caches them, which needs the plugin as well.
+ *
+ * @example
+ * const db = spyOn(container, database)
+ * await container.get(userService).findAll()
+ * assert.strictEqual(db.callCount("query"), 2)
+ */
+export function spyOn<T>(container: Container, factory: Factory<T>): Spy<T>
+
+/**
+ * Create a mock function, optionally with an implementation.
+ */
+export function mockFn<A extends any[] = any[], R = any>(
+  implementation?: (...args: A) => R
+): MockFunction<A, R>
+
 export const testing: Plugin<TestingMethods>
@@ -1,12 +1,315 @@
 /**
  * Testing plugin for mocking and state management.
- * Adds withMocks(), snapshot(), and restore() methods.
+ * Adds withMocks(), autoMock(), verifyMock(), fakeClock(), snapshot(),
+ * restore() and transaction() methods, and works with spyOn().
  */
 
 /** @import * as Types from '../core.js' */
 /** @import * as TestTypes from './testing.js' */
+/** @import * as ObsTypes from './observability.js' */
 
-import { childContainer } from "../core.js"
+import { childContainer, clock, transient } from "../core.js"
+import { DIError } from "../errors.js"
+
+/** @param {Types.Factory<unknown>} f */
+const nameOf = (f) => f.displayName || f.name || "anonymous"
+
+/**
+ * Internals of containers with the testing plugin, for spyOn().
+ * @type {WeakMap<Types.Container, Types.ContainerInternals>}
+ */
+const internalsOf = new WeakMap()
+
+/**
+ * Spy proxies, mapped to the instance each one wraps.
+ * @type {WeakMap<object, unknown>}
+ */
+const spied = new WeakMap()
+
+/** @param {unknown} value */
+const unspied = (value) =>
+  typeof value === "object" || typeof value === "function"
+    ? spied.get(/** @type {object} */ (value)) ?? value
+    : value
+
+/**
+ * Functions made by mockFn(). Their arity says nothing about what they
+ * stand in for.
+ * @type {WeakSet<Function>}
+ */
+const mockFunctions = new WeakSet()
+
+/**
+ * @template {any[]} [A=any[]]
+ * @template [R=any]
+ * @param {(...args: A) => R} [implementation]
+ * @returns {TestTypes.MockFunction<A, R>}
+ */
+export function mockFn(implementation) {
+  /** @type {((...args: any[]) => any) | undefined} */
+  let impl = implementation
+  /** @type {unknown} */
+  let returnValue
+
+  /** @type {TestTypes.MockFunction} */
+  const fn = Object.assign(
+    /** @this {unknown} */
+    function (/** @type {any[]} */ ...args) {
+      fn.calls.push(args)
+      return impl ? impl.apply(this, args) : returnValue
+    },
+    {
+      /** @type {any[][]} */
+      calls: [],
+      lastCall: undefined,
+      /** @param {unknown} value */
+      mockReturnValue(value) {
+        impl = undefined
+        returnValue = value
+        return fn
+      },
+      /** @param {(...args: any[]) => any} next */
+      mockImplementation(next) {
+        impl = next
+        return fn
+      },
+      mockReset() {
+        fn.calls.length = 0
+        impl = implementation
+        returnValue = undefined
+        return fn
+      },
+    }
+  )
+  Object.defineProperty(fn, "lastCall", { get: () => fn.calls.at(-1) })
+  mockFunctions.add(fn)
+  return /** @type {TestTypes.MockFunction<A, R>} */ (fn)
+}
+
+/**
+ * A clock whose time only moves when advance() is called.
+ * @param {number} start
+ * @returns {TestTypes.FakeClock}
+ */
+function createFakeClock(start) {
+  let time = start
+  let nextId = 1
+  /** @type {Map<number, { at: number, fn: () => void }>} */
+  const timers = new Map()
+
+  /** The earliest timer due by `until`, oldest first on ties. */
+  const nextDue = (/** @type {number} */ until) => {
+    /** @type {[number, { at: number, fn: () => void }] | undefined} */
+    let found
+    for (const [id, timer] of timers) {
+      if (timer.at <= until && (!found || timer.at < found[1].at)) found = [id, timer]
+    }
+    return found
+  }
+
+  // Lets promise chains started by a timer settle before the next one
+  const settle = () => new Promise((resolve) => setImmediate(resolve))
+
+  return {
+    now: () => time,
+    setTimeout(fn, ms) {
+      const id = nextId++
+      timers.set(id, { at: time + Math.max(0, ms), fn })
+      return id
+    },
+    clearTimeout(handle) {
+      timers.delete(/** @type {number} */ (handle))
+    },
+    get pending() {
+      return timers.size
+    },
+    async advance(ms) {
+      const until = time + ms
+      await settle()
+      for (let due = nextDue(until); due; due = nextDue(until)) {
+        const [id, timer] = due
+        timers.delete(id)
+        time = timer.at
+        timer.fn()
+        await settle()
+      }
+      time = until
+    },
+  }
+}
+
+/**
+ * Thrown when a mock does not have the shape of the instance it replaces.
+ */
+export class MockMismatchError extends DIError {
+  /**
+   * @param {Types.Factory<unknown>} factory
+   * @param {TestTypes.MockMismatch[]} mismatches
+   */
+  constructor(factory, mismatches) {
+    const name = nameOf(factory)
+    const message = [
+      `The mock for '${name}' does not match the real instance:`,
+      "",
+      ...mismatches.map((m) => `  ${m.property}: expected ${m.expected}, got ${m.actual}`),
+      "",
+      `Update the mock, or check with container.verifyMock(${name}, mock) while fixing it.`,
+    ].join("\n")
+
+    super(message, { factory, mismatches })
+    this.name = "MockMismatchError"
+    this.factory = factory
+    this.mismatches = mismatches
+  }
+}
+
+/** Properties every function has, which are not part of its API. */
+const functionBuiltins = new Set(["length", "name", "prototype", "arguments", "caller"])
+
+/**
+ * Public member names of an instance, including methods of its class.
+ * Names starting with `_` are treated as private.
+ * @param {unknown} value
+ * @returns {Set<string>}
+ */
+function memberNames(value) {
+  const names = new Set()
+  if (value === null || (typeof value !== "object" && typeof value !== "function")) return names
+  for (
+    let o = /** @type {object | null} */ (value);
+    o && o !== Object.prototype && o !== Function.prototype;
+    o = Object.getPrototypeOf(o)
+  ) {
+    for (const key of Object.getOwnPropertyNames(o)) {
+      if (key === "constructor" || key.startsWith("_")) continue
+      if (typeof o === "function" && functionBuiltins.has(key)) continue
+      names.add(key)
+    }
+  }
+  return names
+}
+
+/** @param {Function} fn */
+function isAsync(fn) {
+  return fn.constructor.name === "AsyncFunction"
+}
+
+/**
+ * How a value looks from the outside, e.g. `number`, `array` or
+ * `async function(2)`.
+ * @param {unknown} value
+ */
+function shapeOf(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "array"
+  if (typeof value !== "function") return typeof value
+  if (mockFunctions.has(value)) return "function"
+  return `${isAsync(value) ? "async " : ""}function(${value.length})`
+}
+
+/**
+ * Whether a mock value can stand in for the real one. Mock functions may
+ * take fewer parameters than the real ones, since they are free to ignore
+ * arguments, and mockFn() functions match any function. A plain function
+ * standing in for an `async` one is flagged, since it most likely returns
+ * its result directly; an `async` mock for a plain function is not, since
+ * that function may well return a promise.
+ * @param {unknown} real
+ * @param {unknown} mock
+ */
+function fits(real, mock) {
+  if (typeof real === "function" && typeof mock === "function") {
+    if (mockFunctions.has(mock)) return true
+    if (isAsync(real) && !isAsync(mock)) return false
+    return mock.length <= real.length
+  }
+  return shapeOf(real) === shapeOf(mock)
+}
+
+/**
+ * Compares the public shape of a mock with the real instance.
+ * @param {unknown} real
+ * @param {unknown} mock
+ * @returns {TestTypes.MockMismatch[]}
+ */
+function compareShapes(real, mock) {
+  /** @type {TestTypes.MockMismatch[]} */
+  const mismatches = []
+  if (!fits(real, mock)) {
+    mismatches.push({ property: "(instance)", expected: shapeOf(real), actual: shapeOf(mock) })
+  }
+  const realNames = memberNames(real)
+  const mockNames = memberNames(mock)
+  const realMembers = /** @type {Record<string, unknown>} */ (real)
+  const mockMembers = /** @type {Record<string, unknown>} */ (mock)
+  for (const name of new Set([...realNames, ...mockNames])) {
+    if (!mockNames.has(name)) {
+      mismatches.push({ property: name, expected: shapeOf(realMembers[name]), actual: "missing" })
+    } else if (!realNames.has(name)) {
+      mismatches.push({ property: name, expected: "missing", actual: shapeOf(mockMembers[name]) })
+    } else if (!fits(realMembers[name], mockMembers[name])) {
+      mismatches.push({
+        property: name,
+        expected: shapeOf(realMembers[name]),
+        actual: shapeOf(mockMembers[name]),
+      })
+    }
+  }
+  return mismatches
+}
+
+/**
+ * A mismatch if one factory is async and the other is not, since code that
+ * gets the mock would then await a value it does not expect, or the other
+ * way round.
+ * @param {unknown} real - What the real factory returned
+ * @param {unknown} mock - What the mock factory returned
+ * @returns {TestTypes.MockMismatch[]}
+ */
+function compareResolution(real, mock) {
+  const kind = (/** @type {unknown} */ v) => (v instanceof Promise ? "async factory" : "sync factory")
+  return kind(real) === kind(mock) ? [] : [{ property: "(factory)", expected: kind(real), actual: kind(mock) }]
+}
+
+/**
+ * A stand-in for any instance: callable, and every property it has not
+ * been given is a mock function created on first access. It is not a
+ * thenable, so awaiting it (as an async dependency) returns it.
+ * @returns {TestTypes.Mock<any>}
+ */
+function createStub() {
+  return new Proxy(mockFn(), {
+    get(target, key, receiver) {
+      if (typeof key === "symbol" || key === "then" || key in target) {
+        return Reflect.get(target, key, receiver)
+      }
+      const member = mockFn()
+      Reflect.set(target, key, member)
+      return member
+    },
+  })
+}
+
+/**
+ * Names of a factory's direct dependencies according to a graph, or the
+ * container's observability graph when none is given.
+ * @param {Types.Container} container
+ * @param {Types.Factory<unknown>} unit
+ * @param {TestTypes.AutoMockOptions['graph']} graph
+ * @returns {string[]}
+ */
+function dependencyNames(container, unit, graph) {
+  if (graph && "dependencies" in graph) {
+    return graph.dependencies.filter((d) => d.from === nameOf(unit)).map((d) => d.to)
+  }
+  const observed = /** @type {Partial<ObsTypes.ObservabilityMethods>} */ (container)
+  const edges = graph
+    ? graph instanceof Map
+      ? graph
+      : graph.edges
+    : observed.getDependencyGraph?.().edges
+  return [...(edges?.get(unit) ?? [])].map(nameOf)
+}
 
 /** @type {TestTypes.testing} */
 export const testing = {
@@ -18,27 +321,182 @@ export const testing = {
    */
   apply(container, internals) {
     const { cache, overrides } = internals
+    internalsOf.set(container, internals)
+
+    /**
+     * Child containers created by withMocks() and autoMock() in each open
+     * transaction, innermost last.
+     * @type {Types.Container[][]}
+     */
+    const transactions = []
+
+    /**
+     * Wraps a mock so that resolving it also resolves the real factory and
+     * throws a MockMismatchError if their shapes differ. The real instance
+     * lives in a scratch container, disposed along with the mock's.
+     * @param {Types.Factory<unknown>} factory
+     * @param {Types.Factory<unknown>} replacement
+     * @returns {Types.Factory<unknown>}
+     */
+    const verified = (factory, replacement) => {
+      /** @type {Types.Factory<unknown>} */
+      const checked = (c) => {
+        const scratch = childContainer(container)
+        c.onDispose(() => scratch.dispose())
+        const real = scratch.get(factory)
+        const mock = replacement(c)
+        const mismatches = compareResolution(real, mock)
+        if (mismatches.length) {
+          if (real instanceof Promise) real.catch(() => {})
+          throw new MockMismatchError(factory, mismatches)
+        }
+        /** @param {[unknown, unknown]} resolved */
+        const check = ([r, m]) => {
+          const found = compareShapes(r, m)
+          if (found.length) throw new MockMismatchError(factory, found)
+          return m
+        }
+        return mock instanceof Promise ? Promise.all([real, mock]).then(check) : check([real, mock])
+      }
+      checked.displayName = nameOf(replacement)
+      checked._inner = replacement
+      return checked
+    }
 
     return {
       /**
        * @param {Array<[Types.Factory<unknown>, Types.Factory<unknown>]> | Map<Types.Factory<unknown>, Types.Factory<unknown>>} mocks
+       * @param {TestTypes.WithMocksOptions} [options]
        */
-      withMocks(mocks) {
+      withMocks(mocks, options = {}) {
         const child = childContainer(container)
+        transactions.at(-1)?.push(child)
+
+        /**
+         * @param {Types.Factory<unknown>} factory
+         * @param {Types.Factory<unknown>} replacement
+         */
+        const install = (factory, replacement) => {
+          child.override(factory, options.strict ? verified(factory, replacement) : replacement)
+        }
 
         if (mocks instanceof Map) {
           for (const [factory, replacement] of mocks) {
-            child.override(factory, replacement)
+            install(factory, replacement)
           }
         } else if (Array.isArray(mocks)) {
           for (const [factory, replacement] of mocks) {
-            child.override(factory, replacement)
+            install(factory, replacement)
           }
         }
 
         return child.with(testing)
       },
 
+      /**
+       * @param {Types.Factory<unknown>} real
+       * @param {Types.Factory<unknown>} mock
+       */
+      async verifyMock(real, mock) {
+        // Resolved away from the container's overrides and cache, so
+        // neither replaces the other
+        const scratch = childContainer(container)
+        try {
+          const pending = [scratch.get(real), mock(scratch)]
+          const [realValue, mockValue] = await Promise.all(pending)
+          const mismatches = [
+            ...compareResolution(pending[0], pending[1]),
+            ...compareShapes(realValue, mockValue),
+          ]
+          return { ok: mismatches.length === 0, mismatches }
+        } finally {
+          await scratch.dispose()
+        }
+      },
+
+      /**
+       * @param {Types.Factory<unknown>} unit
+       * @param {TestTypes.AutoMockOptions} [options]
+       */
+      autoMock(unit, options = {}) {
+        const { graph, keep = [] } = options
+        // Time is not a dependency worth stubbing
+        const real = new Set([clock, ...keep])
+
+        /** @type {Map<string, TestTypes.Mock<any>>} */
+        const mocks = new Map()
+        /** @param {Types.Factory<unknown> | string} f */
+        const mockOf = (f) => {
+          const name = typeof f === "string" ? f : nameOf(f)
+          let mock = mocks.get(name)
+          if (!mock) {
+            mock = createStub()
+            mocks.set(name, mock)
+          }
+          return mock
+        }
+        // Known dependencies exist up front, so tests can set them up
+        // before the unit is resolved
+        for (const name of dependencyNames(container, unit, graph)) mockOf(name)
+
+        /**
+         * Factories handing out the stub in place of each mocked one, for
+         * getAll() and getAllAsync().
+         * @type {Map<Types.Factory<unknown>, Types.Factory<unknown>>}
+         */
+        const standIns = new Map()
+        /** @param {Types.Factory<unknown>} f */
+        const routed = (f) => {
+          if (f === unit || real.has(f)) return f
+          let standIn = standIns.get(f)
+          if (!standIn) {
+            standIn = transient(() => mockOf(f))
+            standIn.displayName = nameOf(f)
+            standIns.set(f, standIn)
+          }
+          return standIn
+        }
+
+        // The unit sees stubs for whatever it asks for; the container itself
+        // is untouched, so its cached real instances cannot leak in
+        /** @param {Types.Container} c */
+        const isolated = (c) =>
+          /** @type {Types.Container} */ (
+            Object.create(c, {
+              get: {
+                value: (/** @type {Types.Factory<unknown>} */ f) =>
+                  f === unit || real.has(f) ? c.get(f) : mockOf(f),
+              },
+              tryGet: {
+                value: (/** @type {Types.Factory<unknown>} */ f) =>
+                  f === unit || real.has(f) ? c.tryGet(f) : mockOf(f),
+              },
+              getAll: {
+                value: (/** @type {Types.Factory<unknown>[]} */ factories) =>
+                  c.getAll(factories.map(routed)),
+              },
+              getAllAsync: {
+                value: (/** @type {Record<string, Types.Factory<unknown>>} */ deps) =>
+                  c.getAllAsync(
+                    Object.fromEntries(Object.entries(deps).map(([key, f]) => [key, routed(f)]))
+                  ),
+              },
+            })
+          )
+
+        /** @type {Types.Factory<unknown>} */
+        const underTest = (c) => unit(isolated(c))
+        underTest.displayName = nameOf(unit)
+        underTest._inner = unit
+        // Cached in the test container even if the unit is a singleton
+        underTest._lifetime = "scoped"
+
+        const child = childContainer(container)
+        transactions.at(-1)?.push(child)
+        child.override(unit, underTest)
+        return Object.assign(child.with(testing), { mocks, mockOf })
+      },
+
       snapshot() {
         return {
           cache: new Map(cache),
@@ -48,11 +506,196 @@ export const testing = {
 
       /** @param {TestTypes.ContainerSnapshot} snap */
       restore(snap) {
+        // A spy still stands for the instance it wraps, so removing it
+        // must not dispose that instance
+        const dropped = [...cache.keys()].filter(
+          (f) => snap.cache.get(f) !== unspied(cache.get(f)) || !snap.cache.has(f)
+        )
+        const evicted = internals.evict(dropped)
         cache.clear()
         overrides.clear()
         for (const [k, v] of snap.cache) cache.set(k, v)
         for (const [k, v] of snap.overrides) overrides.set(k, v)
+        return evicted
+      },
+
+      /** @param {{ now?: number }} [options] */
+      fakeClock(options = {}) {
+        const fake = createFakeClock(options.now ?? 0)
+        container.override(clock, () => fake)
+        // Cached here, so child containers inherit it
+        container.get(clock)
+        return fake
+      },
+
+      /**
+       * @template R
+       * @param {(tx: Types.Container & TestTypes.TestingMethods) => R | Promise<R>} fn
+       * @returns {Promise<Awaited<R>>}
+       */
+      async transaction(fn) {
+        const rollback = internals.checkpoint()
+        /** @type {Types.Container[]} */
+        const children = []
+        transactions.push(children)
+        try {
+          return await fn(/** @type {Types.Container & TestTypes.TestingMethods} */ (container))
+        } finally {
+          transactions.splice(transactions.indexOf(children), 1)
+          try {
+            for (const child of children.reverse()) await child.dispose()
+          } finally {
+            await rollback()
+          }
+        }
       },
     }
   },
 }
+
+/**
+ * Wraps an instance in a Proxy that records calls to its methods.
+ * @param {object} instance
+ * @param {TestTypes.SpyCall[]} calls
+ */
+function recordingProxy(instance, calls) {
+  /** @type {Map<PropertyKey, Function>} */
+  const wrappers = new Map()
+
+  return new Proxy(instance, {
+    get(target, key) {
+      const value = Reflect.get(target, key)
+      if (typeof value !== "function" || typeof key === "symbol" || key === "constructor") {
+        return value
+      }
+      // A proxy must report frozen properties as they are
+      const own = Reflect.getOwnPropertyDescriptor(target, key)
+      if (own && !own.configurable && !own.writable) return value
+      let wrapper = wrappers.get(key)
+      if (!wrapper) {
+        wrapper = (/** @type {unknown[]} */ ...args) => {
+          /** @type {TestTypes.SpyCall} */
+          const call = { method: key, args, threw: false, ms: 0 }
+          calls.push(call)
+          const start = performance.now()
+          try {
+            // The real instance as `this`, so private fields keep working
+            const result = Reflect.apply(value, target, args)
+            call.ms = performance.now() - start
+            if (result instanceof Promise) {
+              call.async = true
+              return result.then(
+                (resolved) => {
+                  call.ms = performance.now() - start
+                  call.result = resolved
+                  return resolved
+                },
+                (error) => {
+                  call.ms = performance.now() - start
+                  call.threw = true
+                  call.error = error
+                  throw error
+                }
+              )
+            }
+            call.result = result
+            return result
+          } catch (error) {
+            call.ms = performance.now() - start
+            call.threw = true
+            call.error = error
+            throw error
+          }
+        }
+        wrappers.set(key, wrapper)
+      }
+      return wrapper
+    },
+  })
+}
+
+/**
+ * Lifetime of a factory, looking through decorators that keep the original
+ * in `_inner`.
+ * @param {Types.Factory<unknown> | undefined} f
+ */
+function lifetimeOf(f) {
+  for (; f; f = f._inner) {
+    if (f._lifetime) return f._lifetime
+  }
+  return undefined
+}
+
+/** @type {TestTypes.spyOn} */
+export function spyOn(container, f) {
+  const internals = internalsOf.get(container)
+  if (!internals) {
+    throw new DIError(
+      `spyOn() needs the testing plugin on the container it spies in.\n\n` +
+        `Create it with createContainer().with(testing).`
+    )
+  }
+  let { cache, overrides, parent } = internals
+  let actualFactory = overrides.get(f) ?? f
+  const name = nameOf(f)
+  // Singletons are cached in the root, whichever container resolves them
+  while (parent && lifetimeOf(actualFactory) === "singleton") {
+    const parentInternals = internalsOf.get(parent)
+    if (!parentInternals) {
+      throw new DIError(
+        `'${name}' is a singleton, so its instance lives in the root container, ` +
+          `which spyOn() cannot reach without the testing plugin.\n\n` +
+          `Create the root with createContainer().with(testing), or spy on it there.`
+      )
+    }
+    cache = parentInternals.cache
+    overrides = parentInternals.overrides
+    parent = parentInternals.parent
+    actualFactory = overrides.get(actualFactory) ?? actualFactory
+  }
+  if (actualFactory._transient) {
+    throw new DIError(
+      `'${name}' is transient: every get() creates a new instance, so there is no single instance to spy on.`
+    )
+  }
+
+  const instance = container.get(f)
+  if (instance instanceof Promise) {
+    throw new DIError(
+      `'${name}' is still resolving. Spy on it once it has resolved:\n\n` +
+        `  await container.get(${name})\n  const spy = spyOn(container, ${name})`
+    )
+  }
+  if (instance === null || (typeof instance !== "object" && typeof instance !== "function")) {
+    throw new DIError(
+      `spyOn() can only spy on objects and functions, but '${name}' resolved to ${instance === null ? "null" : typeof instance}.`
+    )
+  }
+
+  /** @type {TestTypes.SpyCall[]} */
+  const calls = []
+  const installed = recordingProxy(instance, calls)
+  spied.set(installed, instance)
+
+  const hadEntry = cache.has(actualFactory)
+  cache.set(actualFactory, installed)
+
+  return {
+    instance: /** @type {any} */ (installed),
+    calls,
+    callsTo(method) {
+      return calls.filter((c) => c.method === method)
+    },
+    callCount(method) {
+      return method === undefined ? calls.length : calls.filter((c) => c.method === method).length
+    },
+    reset() {
+      calls.length = 0
+    },
+    restore() {
+      if (cache.get(actualFactory) !== installed) return
+      if (hadEntry) cache.set(actualFactory, instance)
+      else cache.delete(actualFactory)
+    },
+  }
+}
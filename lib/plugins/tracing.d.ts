@@ -180,13 +180,15 @@ export interface TracingMethods {
   getSpansByTrace(traceId: string): Span[]
 
   /**
-   * Get the current trace ID.
+   * Get the current trace ID. Inside runInScope() with a container other
+   * than this one, e.g. a request scope, that scope's own trace.
    */
   getCurrentTraceId(): string
 
   /**
    * Start a new trace (generates new trace ID).
-   * Call this at the start of each request.
+   * Not needed for requests handled inside runInScope() or requestScope(),
+   * which get a trace each.
    *
    * @example
    * ```ts
@@ -208,6 +210,8 @@ export interface TracingMethods {
   /**
    * Create a manual span around a function.
    * Useful for tracing operations outside of factory resolution.
+   * Spans and resolutions started inside `fn`, even after an `await`, are
+   * its children.
    *
    * @example
    * ```ts
@@ -1,11 +1,23 @@
 /**
  * Tracing plugin for OpenTelemetry-style distributed tracing.
  * Creates spans for factory resolution with proper parent-child relationships.
+ * Parents, trace IDs and request IDs follow the async context: the span a
+ * withSpan() callback runs in, and the container set with runInScope().
  */
 
+import { AsyncLocalStorage } from "node:async_hooks"
+import { currentContainer } from "../core.js"
+import { currentRequestId } from "./request-scope.js"
+
 /** @import * as Types from '../core.js' */
 /** @import * as TracingTypes from './tracing.js' */
 
+/**
+ * The withSpan() span the current async context runs in.
+ * @type {AsyncLocalStorage<TracingTypes.Span>}
+ */
+const activeSpan = new AsyncLocalStorage()
+
 /**
  * @param {TracingTypes.TracingOptions} [options]
  * @returns {Types.Plugin<TracingTypes.TracingMethods>}
@@ -22,11 +34,11 @@ export function tracing(options = {}) {
     name: "tracing",
 
     /**
-     * @param {Types.Container} _container
+     * @param {Types.Container} container
      * @param {Types.ContainerInternals} internals
      */
-    apply(_container, internals) {
-      const { hooks, resolutionStack } = internals
+    apply(container, internals) {
+      const { hooks } = internals
 
       /** @type {Map<Types.Factory<unknown>, TracingTypes.Span>} */
       const activeSpans = new Map()
@@ -37,6 +49,10 @@ export function tracing(options = {}) {
       let spanIdCounter = 0
       let traceId = generateTraceId()
 
+      // One trace per scope entered with runInScope()
+      /** @type {WeakMap<Types.Container, string>} */
+      const scopeTraces = new WeakMap()
+
       /**
        * @returns {string}
        */
@@ -51,14 +67,39 @@ export function tracing(options = {}) {
         return (++spanIdCounter).toString(16).padStart(8, "0")
       }
 
-      hooks.beforeResolve.push((factory) => {
+      /**
+       * The trace of the current scope, or the container's own trace outside one.
+       * @returns {string}
+       */
+      function currentTraceId() {
+        const scope = currentContainer()
+        if (!scope || scope === container) return traceId
+        let id = scopeTraces.get(scope)
+        if (!id) {
+          id = generateTraceId()
+          scopeTraces.set(scope, id)
+        }
+        return id
+      }
+
+      /**
+       * Attributes taken from the async context.
+       * @returns {Record<string, string>}
+       */
+      function contextAttributes() {
+        const requestId = currentRequestId()
+        return requestId ? { "request.id": requestId } : {}
+      }
+
+      hooks.beforeResolve.push((factory, dependent) => {
         const name = factory.displayName || factory.name || "anonymous"
-        const parentFactory = resolutionStack[resolutionStack.length - 1]
-        const parentSpan = parentFactory ? activeSpans.get(parentFactory) : undefined
+        const parentSpan =
+          (dependent ? activeSpans.get(dependent) : undefined) ?? activeSpan.getStore()
+        const context = contextAttributes()
 
         /** @type {TracingTypes.Span} */
         const span = {
-          traceId: parentSpan?.traceId || traceId,
+          traceId: parentSpan?.traceId || currentTraceId(),
           spanId: generateSpanId(),
           parentSpanId: parentSpan?.spanId,
           operationName: `resolve:${name}`,
@@ -70,6 +111,7 @@ export function tracing(options = {}) {
           attributes: {
             "di.factory.name": name,
             "di.factory.transient": Boolean(factory._transient),
+            ...context,
           },
           events: [],
         }
@@ -108,6 +150,36 @@ export function tracing(options = {}) {
         onSpanEnd?.(span)
       })
 
+      hooks.onError.push((factory, error) => {
+        const span = activeSpans.get(factory)
+        if (!span) return
+
+        span.endTime = performance.now()
+        span.duration = span.endTime - span.startTime
+        span.status = "ERROR"
+        span.attributes["error"] = true
+        span.attributes["error.message"] = error.message
+        span.events.push({
+          name: "exception",
+          timestamp: span.endTime,
+          attributes: {
+            "exception.type": error.name,
+            "exception.message": error.message,
+          },
+        })
+
+        activeSpans.delete(factory)
+        completedSpans.push(span)
+
+        if (tracer) {
+          // @ts-ignore - get external span
+          const externalSpan = span._externalSpan
+          externalSpan?.end()
+        }
+
+        onSpanEnd?.(span)
+      })
+
       return {
         getActiveSpans() {
           return Array.from(activeSpans.values())
@@ -122,7 +194,7 @@ export function tracing(options = {}) {
         },
 
         getCurrentTraceId() {
-          return traceId
+          return currentTraceId()
         },
 
         startNewTrace() {
@@ -146,11 +218,11 @@ export function tracing(options = {}) {
            * @returns {Promise<T>}
            */
           return async (fn) => {
-            const parentSpan = completedSpans[completedSpans.length - 1]
+            const parentSpan = activeSpan.getStore()
 
             /** @type {TracingTypes.Span} */
             const span = {
-              traceId: parentSpan?.traceId || traceId,
+              traceId: parentSpan?.traceId || currentTraceId(),
               spanId: generateSpanId(),
               parentSpanId: spanOptions.parentSpanId || parentSpan?.spanId,
               operationName: name,
@@ -159,14 +231,15 @@ export function tracing(options = {}) {
               endTime: 0,
               duration: 0,
               status: "OK",
-              attributes: spanOptions.attributes || {},
+              attributes: { ...contextAttributes(), ...spanOptions.attributes },
               events: [],
             }
 
             onSpanStart?.(span)
 
             try {
-              const result = await fn()
+              // Spans and resolutions started inside fn are its children
+              const result = await activeSpan.run(span, fn)
               span.endTime = performance.now()
               span.duration = span.endTime - span.startTime
               completedSpans.push(span)
@@ -6,7 +6,11 @@ import {
   factory,
   transient,
   named,
+  lazy,
+  runInScope,
+  currentContainer,
 } from "../lib/core.js"
+import { CaptiveDependencyError, DIError, ResolutionError, TimeoutError } from "../lib/errors.js"
 import { testing } from "../lib/plugins/testing.js"
 
 describe("Container", () => {
@@ -117,6 +121,106 @@ describe("Container", () => {
     })
   })
 
+  describe("failed async factories", () => {
+    it("does not cache a rejected promise", async () => {
+      let attempts = 0
+      const flaky = factory("Flaky", async () => {
+        if (++attempts === 1) throw new Error("Connection refused")
+        return { attempts }
+      })
+
+      await assert.rejects(() => container.get(flaky))
+      assert.strictEqual(container.has(flaky), false)
+
+      const result = await container.get(flaky)
+      assert.deepStrictEqual(result, { attempts: 2 })
+    })
+
+    it("wraps the failure in a ResolutionError with the resolution stack", async () => {
+      const db = factory("Database", async () => {
+        throw new Error("Connection refused")
+      })
+      const repo = factory("Repository", async (c) => ({ db: await c.get(db) }))
+
+      await assert.rejects(
+        () => container.get(repo),
+        (err) => {
+          assert.ok(err instanceof ResolutionError)
+          assert.strictEqual(err.factory, db)
+          assert.strictEqual(err.cause.message, "Connection refused")
+          assert.deepStrictEqual(
+            err.context.stack.map((f) => f.displayName),
+            ["Repository", "Database"]
+          )
+          return true
+        }
+      )
+    })
+
+    it("fires onError hooks with the wrapped error", async () => {
+      const seen = []
+      const plugin = {
+        name: "errors",
+        apply(_container, internals) {
+          internals.hooks.onError.push((f, err) => seen.push([f.displayName, err.name]))
+          return {}
+        },
+      }
+      const failing = factory("Failing", async () => {
+        throw new Error("boom")
+      })
+
+      const c = createContainer().with(plugin)
+      await assert.rejects(() => c.get(failing))
+
+      assert.deepStrictEqual(seen, [["Failing", "ResolutionError"]])
+    })
+
+    it("wraps async transient failures and fires onError for them", async () => {
+      const seen = []
+      const plugin = {
+        name: "errors",
+        apply(_container, internals) {
+          internals.hooks.onError.push((f, err) => seen.push([f.displayName, err.name]))
+          return {}
+        },
+      }
+      const failing = factory(
+        "Command",
+        async () => {
+          throw new Error("boom")
+        },
+        { transient: true }
+      )
+
+      const c = createContainer().with(plugin)
+      await assert.rejects(c.get(failing), (err) => {
+        assert.ok(err instanceof ResolutionError)
+        assert.strictEqual(err.cause.message, "boom")
+        return true
+      })
+
+      assert.deepStrictEqual(seen, [["Command", "ResolutionError"]])
+    })
+
+    it("keeps the failure for negativeCacheMs before retrying", async () => {
+      let attempts = 0
+      const failing = factory("Failing", async () => {
+        attempts++
+        throw new Error("boom")
+      })
+
+      const c = createContainer({ negativeCacheMs: 20 })
+      await assert.rejects(() => c.get(failing))
+      await assert.rejects(() => c.get(failing))
+      assert.strictEqual(attempts, 1)
+
+      await new Promise((r) => setTimeout(r, 30))
+      await assert.rejects(() => c.get(failing))
+      assert.strictEqual(attempts, 2)
+    })
+  })
+
   describe("circular dependency detection", () => {
     it("throws CircularDependencyError for direct circular dependencies", () => {
       const a = named("A", (c) => ({ b: c.get(b) }))
@@ -128,6 +232,85 @@ describe("Container", () => {
       )
     })
 
+    it("detects cycles that cross an await in an async factory", async () => {
+      const a = named("A", async (c) => {
+        await new Promise((r) => setTimeout(r, 1))
+        return { b: await c.get(b) }
+      })
+      const b = named("B", async (c) => ({ a: await c.get(a) }))
+
+      await assert.rejects(
+        () => container.get(a),
+        (err) => {
+          assert.strictEqual(err.name, "CircularDependencyError")
+          assert.deepStrictEqual(
+            err.chain.map((f) => f.displayName),
+            ["A", "B", "A"]
+          )
+          return true
+        }
+      )
+    })
+
+    it("detects cycles through transient factories", () => {
+      const a = transient(named("A", (c) => ({ b: c.get(b) })))
+      const b = named("B", (c) => ({ a: c.get(a) }))
+
+      assert.throws(
+        () => container.get(a),
+        (err) => err.name === "CircularDependencyError"
+      )
+    })
+
+    it("detects async cycles made only of transient factories", async () => {
+      const a = transient(
+        named("A", async (c) => {
+          await Promise.resolve()
+          return { b: await c.get(b) }
+        })
+      )
+      const b = transient(
+        named("B", async (c) => {
+          await Promise.resolve()
+          return { a: await c.get(a) }
+        })
+      )
+
+      await assert.rejects(container.get(a), (err) => {
+        assert.strictEqual(err.name, "CircularDependencyError")
+        assert.deepStrictEqual(
+          err.chain.map((f) => f.displayName),
+          ["A", "B", "A"]
+        )
+        return true
+      })
+    })
+
+    it("does not flag lazy access after the cycle has resolved", async () => {
+      const a = named("A", async (c) => {
+        await Promise.resolve()
+        const ref = lazy(c, b)
+        return { get b() { return ref.value } }
+      })
+      const b = named("B", async (c) => ({ a: await c.get(a) }))
+
+      const resolvedA = await container.get(a)
+      const resolvedB = await resolvedA.b
+      assert.strictEqual(resolvedB.a, resolvedA)
+    })
+
+    it("allows concurrent gets of the same async factory", async () => {
+      const shared = named("Shared", async () => {
+        await new Promise((r) => setTimeout(r, 1))
+        return { shared: true }
+      })
+      const left = named("Left", async (c) => c.get(shared))
+      const right = named("Right", async (c) => c.get(shared))
+
+      const [l, r] = await Promise.all([container.get(left), container.get(right)])
+      assert.strictEqual(l, r)
+    })
+
     it("can be disabled via options", () => {
       const noDetect = createContainer({ detectCircular: false })
 
@@ -166,6 +349,92 @@ describe("Container", () => {
     })
   })
 
+  describe("eviction", () => {
+    it("clearCache() runs dispose options for evicted instances", async () => {
+      let disposed = 0
+      const db = factory("Database", () => ({}), { dispose: () => disposed++ })
+
+      container.get(db)
+      await container.clearCache()
+      assert.strictEqual(disposed, 1)
+
+      // Already evicted: dispose() must not run it again
+      await container.dispose()
+      assert.strictEqual(disposed, 1)
+    })
+
+    it("clearCache() leaves container-wide onDispose handlers alone", async () => {
+      let disposed = false
+      const service = factory("Service", (c) => {
+        c.onDispose(() => {
+          disposed = true
+        })
+        return {}
+      })
+
+      container.get(service)
+      await container.clearCache()
+
+      assert.strictEqual(disposed, false)
+    })
+
+    it("override() disposes the instance it replaces", async () => {
+      const disposed = []
+      const db = factory("Database", () => ({ type: "real" }), {
+        dispose: (instance) => disposed.push(instance.type),
+      })
+
+      container.get(db)
+      await container.override(db, () => ({ type: "mock" }))
+
+      assert.deepStrictEqual(disposed, ["real"])
+      assert.deepStrictEqual(container.get(db), { type: "mock" })
+    })
+
+    it("reports failing cleanup to onDisposeError instead of rejecting", async () => {
+      const failures = []
+      const c = createContainer({
+        onDisposeError: (error, f) => failures.push([f.displayName, error.message]),
+      })
+      const db = factory("Database", () => ({}), {
+        dispose: () => {
+          throw new Error("close failed")
+        },
+      })
+
+      c.get(db)
+      await c.clearCache()
+      c.get(db)
+      await c.override(db, () => ({}))
+
+      assert.deepStrictEqual(failures, [
+        ["Database", "close failed"],
+        ["Database", "close failed"],
+      ])
+    })
+
+    it("tells onDispose hooks about evicted instances", async () => {
+      const disposed = []
+      const c = createContainer().with({
+        name: "listener",
+        apply: (_, internals) => {
+          internals.hooks.onDispose.push((f) => disposed.push(f.displayName))
+          return {}
+        },
+      })
+      const config = factory("Config", () => ({}))
+      const db = factory("Database", () => ({}))
+
+      c.get(config)
+      c.get(db)
+      await c.override(db, () => ({}))
+      assert.deepStrictEqual(disposed, ["Database"])
+
+      await c.clearCache()
+      assert.deepStrictEqual(disposed, ["Database", "Config"])
+    })
+  })
+
   describe("clearOverrides()", () => {
     it("removes all overrides", () => {
       const real = factory("Real", () => ({ type: "real" }))
@@ -260,6 +529,33 @@ describe("Container", () => {
       )
     })
 
+    it("runs per-factory dispose options with the cached instance", async () => {
+      const closed = []
+      const db = factory("Database", () => ({ name: "db" }), {
+        dispose: (instance) => closed.push(instance.name),
+      })
+
+      container.get(db)
+      await container.dispose()
+
+      assert.deepStrictEqual(closed, ["db"])
+    })
+
+    it("disposes dependents before their dependencies", async () => {
+      const order = []
+      const db = factory("Database", async () => ({}), {
+        dispose: () => order.push("Database"),
+      })
+      const repo = factory("Repository", async (c) => ({ db: await c.get(db) }), {
+        dispose: () => order.push("Repository"),
+      })
+
+      await container.get(repo)
+      await container.dispose()
+
+      assert.deepStrictEqual(order, ["Repository", "Database"])
+    })
+
     it("clears the cache after dispose", async () => {
       const config = factory("Config", () => ({}))
       container.get(config)
@@ -270,6 +566,96 @@ describe("Container", () => {
     })
   })
 
+  describe("explicit resource management", () => {
+    it("supports Symbol.asyncDispose on root containers", async () => {
+      let disposed = false
+      const root = createContainer()
+      root.onDispose(async () => {
+        disposed = true
+      })
+
+      await root[Symbol.asyncDispose]()
+
+      assert.strictEqual(disposed, true)
+    })
+
+    it("supports Symbol.dispose when all disposers are sync", () => {
+      const order = []
+      const root = createContainer()
+      const db = factory("Database", () => ({}), {
+        dispose: () => order.push("Database"),
+      })
+      root.get(db)
+      root.onDispose(() => order.push("handler"))
+
+      root[Symbol.dispose]()
+
+      assert.deepStrictEqual(order, ["handler", "Database"])
+      assert.strictEqual(root.has(db), false)
+    })
+
+    it("Symbol.dispose reports disposers that return a promise", () => {
+      const root = createContainer()
+      root.onDispose(async () => {})
+
+      assert.throws(
+        () => root[Symbol.dispose](),
+        (err) =>
+          err instanceof AggregateError &&
+          err.errors[0].message.includes("await using")
+      )
+    })
+
+    it("disposes resolved instances that implement Symbol.asyncDispose", async () => {
+      let closed = false
+      const conn = factory("Connection", () => ({
+        async [Symbol.asyncDispose]() {
+          closed = true
+        },
+      }))
+
+      container.get(conn)
+      await container.dispose()
+
+      assert.strictEqual(closed, true)
+    })
+
+    it("uses Symbol.dispose of instances during sync disposal", () => {
+      const calls = []
+      const handle = factory("Handle", () => ({
+        async [Symbol.asyncDispose]() {
+          calls.push("async")
+        },
+        [Symbol.dispose]() {
+          calls.push("sync")
+        },
+      }))
+      const root = createContainer()
+      root.get(handle)
+
+      root[Symbol.dispose]()
+
+      assert.deepStrictEqual(calls, ["sync"])
+    })
+
+    it("leaves instances alone when the factory says dispose: false", async () => {
+      let closed = false
+      const shared = {
+        async [Symbol.asyncDispose]() {
+          closed = true
+        },
+      }
+      const stream = factory("Stream", () => shared, { dispose: false })
+
+      container.get(stream)
+      await container.clearCache()
+      container.get(stream)
+      await container.dispose()
+
+      assert.strictEqual(closed, false)
+    })
+  })
+
   describe("freeze()", () => {
     it("prevents resolution of new factories", () => {
       const config = factory("Config", () => ({}))
@@ -316,6 +702,17 @@ describe("Container", () => {
 
       assert.deepStrictEqual(result, { env: "test" })
     })
+
+    it("resolves several factories at once", async () => {
+      const config = factory("Config", () => ({ env: "test" }))
+      const db = factory("Db", async () => "db")
+
+      const readOnly = container.asReadOnly()
+
+      assert.deepStrictEqual(await readOnly.getAll([config, db]), [{ env: "test" }, "db"])
+      assert.deepStrictEqual(await readOnly.getAllAsync({ db }), { db: "db" })
+      assert.strictEqual(readOnly.bind, undefined)
+    })
   })
 
   describe("resolver()", () => {
@@ -327,6 +724,281 @@ describe("Container", () => {
       assert.deepStrictEqual(resolve(), { env: "test" })
     })
   })
+
+  describe("warmup()", () => {
+    const delay = (ms) => new Promise((r) => setTimeout(r, ms))
+
+    it("resolves every factory and returns the container", async () => {
+      const db = named("Database", async () => ({}))
+      const cache = named("Cache", () => ({}))
+
+      const result = await container.warmup([db, cache])
+
+      assert.strictEqual(result, container)
+      assert.ok(container.has(db))
+      assert.ok(container.has(cache))
+    })
+
+    describe("with options", () => {
+      it("starts dependencies before their dependents", async () => {
+        const started = []
+        const track = (name, deps = []) =>
+          named(name, async (c) => {
+            started.push(name)
+            await delay(1)
+            for (const d of deps) await c.get(d)
+            return name
+          })
+        const config = track("Config")
+        const db = track("Database", [config])
+        const users = track("UserService", [db])
+        const graph = new Map([
+          [users, new Set([db])],
+          [db, new Set([config])],
+        ])
+
+        const report = await container.warmup([users], { graph })
+
+        assert.deepStrictEqual(started, ["Config", "Database", "UserService"])
+        assert.deepStrictEqual(
+          report.factories.map((e) => [e.name, e.status]),
+          [
+            ["Config", "resolved"],
+            ["Database", "resolved"],
+            ["UserService", "resolved"],
+          ]
+        )
+      })
+
+      it("matches a discover() result by factory name", async () => {
+        const started = []
+        const db = named("Database", async () => {
+          started.push("Database")
+          await delay(1)
+        })
+        const users = named("UserService", () => {
+          started.push("UserService")
+        })
+
+        await container.warmup([users, db], {
+          graph: { dependencies: [{ from: "UserService", to: "Database" }] },
+        })
+
+        assert.deepStrictEqual(started, ["Database", "UserService"])
+      })
+
+      it("caps concurrency", async () => {
+        let active = 0
+        let peak = 0
+        const work = (name) =>
+          named(name, async () => {
+            active++
+            peak = Math.max(peak, active)
+            await delay(2)
+            active--
+          })
+
+        await container.warmup([work("A"), work("B"), work("C"), work("D")], {
+          concurrency: 2,
+        })
+
+        assert.strictEqual(peak, 2)
+      })
+
+      it("rejects a concurrency below 1 instead of hanging", async () => {
+        const db = named("Database", () => "db")
+
+        for (const concurrency of [0, -1, NaN]) {
+          await assert.rejects(
+            container.warmup([db], { concurrency }),
+            (err) => err instanceof DIError && /concurrency must be at least 1/.test(err.message)
+          )
+        }
+      })
+
+      it("fails a slow factory with a TimeoutError", async () => {
+        const slow = named("Slow", () => delay(50))
+
+        await assert.rejects(
+          container.warmup([slow], { timeout: 5 }),
+          (err) => err instanceof TimeoutError && err.factory === slow
+        )
+      })
+
+      it("applies an overall deadline and skips what has not started", async () => {
+        const events = []
+        const slow = named("Slow", () => delay(50))
+        const later = named("Later", () => "later")
+
+        await assert.rejects(
+          container.warmup([slow, later], {
+            concurrency: 1,
+            deadline: 5,
+            onProgress: (e) => events.push(`${e.type} ${e.name}`),
+          }),
+          (err) => err instanceof TimeoutError && err.context.deadline === true
+        )
+        assert.deepStrictEqual(events, ["start Slow", "failed Slow", "skipped Later"])
+      })
+
+      it("skips dependents of a failed factory", async () => {
+        const events = []
+        const db = named("Database", async () => {
+          throw new Error("connection refused")
+        })
+        const users = named("UserService", (c) => c.get(db))
+        const cache = named("Cache", () => ({}))
+
+        await assert.rejects(
+          container.warmup([users, cache], {
+            graph: new Map([[users, [db]]]),
+            onProgress: (e) => events.push(`${e.type} ${e.name}`),
+          }),
+          ResolutionError
+        )
+        assert.ok(events.includes("skipped UserService"))
+        assert.ok(events.includes("resolved Cache"))
+        assert.ok(container.has(cache))
+      })
+
+      it("emits progress events with counts", async () => {
+        const events = []
+        const a = named("A", () => "a")
+        const b = named("B", async () => "b")
+
+        await container.warmup([a, b], { onProgress: (e) => events.push(e) })
+
+        const finished = events.filter((e) => e.type !== "start")
+        assert.deepStrictEqual(
+          finished.map((e) => [e.name, e.completed, e.total]),
+          [
+            ["A", 1, 2],
+            ["B", 2, 2],
+          ]
+        )
+      })
+
+      it("reports how long each factory took", async () => {
+        const slow = named("Slow", () => delay(20))
+        const fast = named("Fast", () => "fast")
+
+        const report = await container.warmup([slow, fast], {})
+
+        const bySlowness = [...report.factories].sort((x, y) => y.ms - x.ms)
+        assert.strictEqual(bySlowness[0].name, "Slow")
+        assert.ok(bySlowness[0].ms >= 15)
+        assert.ok(report.totalMs >= bySlowness[0].ms)
+      })
+    })
+  })
+
+  describe("getAll()", () => {
+    it("returns values in order when every factory is sync", () => {
+      const a = named("A", () => "a")
+      const b = named("B", () => "b")
+
+      assert.deepStrictEqual(container.getAll([a, b]), ["a", "b"])
+    })
+
+    it("resolves async factories concurrently", async () => {
+      const order = []
+      const delayed = (name, ms) =>
+        named(name, async () => {
+          order.push(`start ${name}`)
+          await new Promise((r) => setTimeout(r, ms))
+          order.push(`end ${name}`)
+          return name
+        })
+      const slow = delayed("Slow", 20)
+      const fast = delayed("Fast", 5)
+
+      const result = await container.getAll([slow, fast, named("Sync", () => "sync")])
+
+      assert.deepStrictEqual(result, ["Slow", "Fast", "sync"])
+      assert.deepStrictEqual(order, ["start Slow", "start Fast", "end Fast", "end Slow"])
+    })
+
+    it("throws the ResolutionError itself when one factory fails", () => {
+      const ok = named("Ok", () => "ok")
+      const broken = named("Broken", () => {
+        throw new Error("boom")
+      })
+
+      assert.throws(() => container.getAll([ok, broken]), ResolutionError)
+    })
+
+    it("reports an AggregateError when several factories fail", async () => {
+      const syncFailure = named("SyncFailure", () => {
+        throw new Error("sync")
+      })
+      const asyncFailure = named("AsyncFailure", async () => {
+        throw new Error("async")
+      })
+
+      await assert.rejects(container.getAll([syncFailure, asyncFailure]), (err) => {
+        assert.ok(err instanceof AggregateError)
+        assert.deepStrictEqual(
+          err.errors.map((e) => [e.constructor, e.factory.displayName]),
+          [
+            [ResolutionError, "SyncFailure"],
+            [ResolutionError, "AsyncFailure"],
+          ]
+        )
+        return true
+      })
+    })
+
+    it("keeps the resolution stack of each branch", async () => {
+      const leaf = named("Leaf", async () => {
+        throw new Error("leaf failed")
+      })
+      const left = named("Left", async (c) => c.get(leaf))
+      const right = named("Right", async () => "right")
+      const root = named("Root", (c) => c.getAll([left, right]))
+
+      await assert.rejects(container.get(root), (err) => {
+        assert.ok(err instanceof ResolutionError)
+        assert.deepStrictEqual(
+          err.context.stack.map((f) => f.displayName),
+          ["Root", "Left", "Leaf"]
+        )
+        return true
+      })
+    })
+
+    it("detects cycles within a branch", async () => {
+      const a = named("A", async (c) => {
+        await new Promise((r) => setTimeout(r, 1))
+        return c.getAll([b, named("Other", () => 1)])
+      })
+      const b = named("B", async (c) => c.get(a))
+
+      await assert.rejects(container.get(a), /Circular dependency detected: A -> B -> A/)
+    })
+  })
+
+  describe("getAllAsync()", () => {
+    it("resolves a record of factories", async () => {
+      const db = named("Database", async () => "db")
+      const logger = named("Logger", () => "logger")
+
+      assert.deepStrictEqual(await container.getAllAsync({ db, logger }), {
+        db: "db",
+        logger: "logger",
+      })
+    })
+
+    it("rejects rather than throws for sync failures", async () => {
+      const broken = named("Broken", () => {
+        throw new Error("boom")
+      })
+
+      const result = container.getAllAsync({ broken })
+
+      assert.ok(result instanceof Promise)
+      await assert.rejects(result, ResolutionError)
+    })
+  })
 })
 
 describe("childContainer()", () => {
@@ -373,6 +1045,179 @@ describe("childContainer()", () => {
   })
 })
 
+describe("runInScope() / currentContainer()", () => {
+  it("is undefined outside a scope", () => {
+    assert.strictEqual(currentContainer(), undefined)
+  })
+
+  it("returns what the function returns", async () => {
+    const app = createContainer()
+
+    assert.strictEqual(runInScope(app, () => 42), 42)
+    assert.strictEqual(await runInScope(app, async () => "async"), "async")
+  })
+
+  it("follows the async context", async () => {
+    const app = createContainer()
+    const deepHelper = async () => {
+      await new Promise((r) => setTimeout(r, 1))
+      return currentContainer()
+    }
+
+    const seen = await runInScope(app, deepHelper)
+
+    assert.strictEqual(seen, app)
+    assert.strictEqual(currentContainer(), undefined)
+  })
+
+  it("keeps concurrent scopes apart", async () => {
+    const app = createContainer()
+    const first = childContainer(app)
+    const second = childContainer(app)
+    const later = () => new Promise((r) => setTimeout(() => r(currentContainer()), 1))
+
+    const [a, b] = await Promise.all([runInScope(first, later), runInScope(second, later)])
+
+    assert.strictEqual(a, first)
+    assert.strictEqual(b, second)
+  })
+
+  it("nests, with the innermost scope winning", () => {
+    const app = createContainer()
+    const request = childContainer(app)
+
+    runInScope(app, () => {
+      runInScope(request, () => assert.strictEqual(currentContainer(), request))
+      assert.strictEqual(currentContainer(), app)
+    })
+  })
+
+  it("lets childContainer() default its parent to the current scope", () => {
+    const app = createContainer()
+    const config = factory("Config", () => ({}))
+    const instance = app.get(config)
+
+    const child = runInScope(app, () => childContainer())
+
+    assert.strictEqual(child.get(config), instance)
+  })
+
+  it("throws from childContainer() without a parent outside a scope", () => {
+    assert.throws(() => childContainer(), DIError)
+  })
+})
+
+describe("lifetimes", () => {
+  let root
+
+  beforeEach(() => {
+    root = createContainer()
+  })
+
+  afterEach(async () => {
+    await root.dispose()
+  })
+
+  it("caches singletons in the root when first requested from a child", () => {
+    let count = 0
+    const db = factory("Database", () => ({ id: ++count }), {
+      lifetime: "singleton",
+    })
+
+    const first = childContainer(root).get(db)
+    const second = childContainer(root).get(db)
+
+    assert.strictEqual(first, second)
+    assert.strictEqual(root.has(db), true)
+    assert.strictEqual(count, 1)
+  })
+
+  it("caches scoped factories per child", () => {
+    let count = 0
+    const ctx = factory("RequestContext", () => ({ id: ++count }), {
+      lifetime: "scoped",
+    })
+    root.get(ctx)
+
+    const child = childContainer(root)
+    const a = child.get(ctx)
+    const b = child.get(ctx)
+    const other = childContainer(root).get(ctx)
+
+    assert.strictEqual(a, b)
+    assert.notStrictEqual(a, other)
+    assert.notStrictEqual(a, root.get(ctx))
+  })
+
+  it("treats lifetime: transient like the transient option", () => {
+    const command = factory("Command", () => ({}), { lifetime: "transient" })
+    assert.notStrictEqual(root.get(command), root.get(command))
+  })
+
+  it("throws CaptiveDependencyError when a singleton depends on a scoped factory", () => {
+    const ctx = factory("RequestContext", () => ({}), { lifetime: "scoped" })
+    const service = factory("UserService", (c) => ({ ctx: c.get(ctx) }), {
+      lifetime: "singleton",
+    })
+
+    assert.throws(
+      () => childContainer(root).get(service),
+      (err) => {
+        assert.ok(err instanceof CaptiveDependencyError)
+        assert.strictEqual(err.singleton, service)
+        assert.strictEqual(err.scoped, ctx)
+        return true
+      }
+    )
+  })
+
+  it("detects captive dependencies across await", async () => {
+    const ctx = factory("RequestContext", async () => ({}), { lifetime: "scoped" })
+    const service = factory(
+      "UserService",
+      async (c) => {
+        await Promise.resolve()
+        return { ctx: await c.get(ctx) }
+      },
+      { lifetime: "singleton" }
+    )
+
+    await assert.rejects(
+      () => childContainer(root).get(service),
+      CaptiveDependencyError
+    )
+  })
+
+  it("detects captive dependencies with detectCircular off", async () => {
+    const app = createContainer({ detectCircular: false })
+    const ctx = factory("RequestContext", () => ({}), { lifetime: "scoped" })
+    const service = factory("UserService", (c) => ({ ctx: c.get(ctx) }), {
+      lifetime: "singleton",
+    })
+    const asyncService = factory(
+      "AsyncUserService",
+      async (c) => {
+        await Promise.resolve()
+        return { ctx: c.get(ctx) }
+      },
+      { lifetime: "singleton" }
+    )
+
+    assert.throws(() => childContainer(app).get(service), CaptiveDependencyError)
+    await assert.rejects(() => childContainer(app).get(asyncService), CaptiveDependencyError)
+  })
+
+  it("allows scoped factories to depend on singletons", () => {
+    const db = factory("Database", () => ({}), { lifetime: "singleton" })
+    const repo = factory("Repository", (c) => ({ db: c.get(db) }), {
+      lifetime: "scoped",
+    })
+
+    const child = childContainer(root)
+    assert.strictEqual(child.get(repo).db, root.get(db))
+  })
+})
+
 describe("Container options", () => {
   describe("interceptors", () => {
     it("allows intercepting factory resolution", () => {
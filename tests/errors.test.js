@@ -6,6 +6,7 @@ import {
   ResolutionError,
   TimeoutError,
   FrozenContainerError,
+  CaptiveDependencyError,
 } from "../lib/errors.js"
 
 describe("DIError", () => {
@@ -100,6 +101,14 @@ describe("ResolutionError", () => {
     assert.ok(error.message.includes("2. Child"))
   })
 
+  it("names the injected key when provided", () => {
+    const error = new ResolutionError({ displayName: "Database" }, new Error("Failed"), {
+      key: "db",
+    })
+
+    assert.ok(error.message.startsWith("Failed to resolve factory 'Database' (injected as 'db')"))
+  })
+
   it("handles anonymous factories in stack", () => {
     const factory = { displayName: "Current" }
     const cause = new Error("Failed")
@@ -199,3 +208,40 @@ describe("FrozenContainerError", () => {
     assert.strictEqual(error.name, "FrozenContainerError")
   })
 })
+
+describe("CaptiveDependencyError", () => {
+  it("names both factories in the message", () => {
+    const error = new CaptiveDependencyError(
+      { displayName: "UserService" },
+      { displayName: "RequestContext" }
+    )
+
+    assert.ok(
+      error.message.includes(
+        "singleton 'UserService' depends on scoped 'RequestContext'"
+      )
+    )
+  })
+
+  it("includes fix suggestions", () => {
+    const error = new CaptiveDependencyError({ displayName: "A" }, { displayName: "B" })
+
+    assert.ok(error.message.includes("How to fix"))
+    assert.ok(error.message.includes('lifetime: "scoped"'))
+  })
+
+  it("stores both factories", () => {
+    const singleton = { displayName: "A" }
+    const scoped = { displayName: "B" }
+    const error = new CaptiveDependencyError(singleton, scoped)
+
+    assert.strictEqual(error.singleton, singleton)
+    assert.strictEqual(error.scoped, scoped)
+    assert.ok(error instanceof DIError)
+  })
+
+  it("has the correct name", () => {
+    const error = new CaptiveDependencyError({}, {})
+    assert.strictEqual(error.name, "CaptiveDependencyError")
+  })
+})
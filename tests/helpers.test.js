@@ -14,9 +14,21 @@ import {
   scoped,
   pipe,
   definePlugin,
+  disposable,
+  collection,
+  contribute,
+  token,
+  registry,
+  optional,
+  withDefault,
+  absent,
+  afterCreate,
+  injectObject,
+  clock,
 } from "../lib/core.js"
 import { defineFactories } from "../lib/plugins/batch.js"
 import { testing } from "../lib/plugins/testing.js"
+import { DIError, ResolutionError } from "../lib/errors.js"
 
 describe("factory()", () => {
   let container
@@ -50,6 +62,17 @@ describe("factory()", () => {
     assert.strictEqual(second.id, 2)
   })
 
+  it("rejects a dispose option on transient factories", () => {
+    const dispose = () => {}
+
+    assert.throws(() => factory("Command", () => ({}), { transient: true, dispose }), DIError)
+    assert.throws(
+      () => factory("Command", () => ({}), { lifetime: "transient", dispose }),
+      /'Command' is transient/
+    )
+    assert.doesNotThrow(() => factory("Request", () => ({}), { transient: true, dispose: false }))
+  })
+
   it("supports timeout option", async () => {
     const slow = factory(
       "Slow",
@@ -222,6 +245,131 @@ describe("inject()", () => {
     assert.ok(typeof result.query === "function")
     assert.deepStrictEqual(result.query(), [{ id: 1 }])
   })
+
+  describe("inject.props()", () => {
+    it("assigns dependencies to properties", () => {
+      class ReportService {
+        logger = undefined
+        db = undefined
+      }
+      const logger = () => "logger"
+      const db = () => "db"
+
+      const report = container.get(inject.props(ReportService, { logger, db }))
+
+      assert.ok(report instanceof ReportService)
+      assert.strictEqual(report.logger, "logger")
+      assert.strictEqual(report.db, "db")
+    })
+
+    it("assigns after the constructor runs", () => {
+      class Service {
+        logger = "default"
+      }
+      const logger = () => "injected"
+
+      assert.strictEqual(container.get(inject.props(Service, { logger })).logger, "injected")
+    })
+  })
+})
+
+describe("injectObject()", () => {
+  it("passes dependencies as a single named object", () => {
+    class UserService {
+      constructor({ db, logger }) {
+        this.db = db
+        this.logger = logger
+      }
+    }
+    const db = () => "db"
+    const logger = () => "logger"
+    const container = createContainer()
+
+    const service = container.get(injectObject(UserService, { logger, db }))
+
+    assert.ok(service instanceof UserService)
+    assert.strictEqual(service.db, "db")
+    assert.strictEqual(service.logger, "logger")
+  })
+
+  it("works with plain functions", () => {
+    const greet = injectObject(({ name }) => `hello ${name}`, { name: () => "world" })
+
+    assert.strictEqual(createContainer().get(greet), "hello world")
+  })
+
+  it("awaits async dependencies in parallel before constructing", async () => {
+    const started = []
+    const slow = (name, ms) => async () => {
+      started.push(name)
+      await new Promise((r) => setTimeout(r, ms))
+      return name
+    }
+    const build = injectObject((deps) => deps, {
+      a: slow("a", 20),
+      b: slow("b", 5),
+      c: () => "c",
+    })
+    const container = createContainer()
+
+    const pending = container.get(build)
+    assert.deepStrictEqual(started, ["a", "b"])
+
+    assert.deepStrictEqual(await pending, { a: "a", b: "b", c: "c" })
+  })
+
+  it("names the key whose dependency threw", () => {
+    const db = named("Database", () => {
+      throw new Error("connection refused")
+    })
+    const service = injectObject((deps) => deps, { logger: () => "logger", db })
+
+    assert.throws(
+      () => createContainer().get(service),
+      (err) =>
+        err instanceof ResolutionError &&
+        err.context.key === "db" &&
+        err.cause.message === "connection refused" &&
+        err.message.includes("'Database' (injected as 'db')")
+    )
+  })
+
+  it("throws the sync failure without leaving a rejected dependency unhandled", async () => {
+    const unhandled = []
+    const onUnhandled = (reason) => unhandled.push(reason)
+    process.on("unhandledRejection", onUnhandled)
+    const a = named("A", async () => {
+      throw new Error("a failed")
+    })
+    const b = named("B", () => {
+      throw new Error("b failed")
+    })
+    const service = injectObject((deps) => deps, { a, b })
+
+    try {
+      assert.throws(
+        () => createContainer().get(service),
+        (err) => err instanceof ResolutionError && err.context.key === "b"
+      )
+      await new Promise((resolve) => setImmediate(resolve))
+    } finally {
+      process.off("unhandledRejection", onUnhandled)
+    }
+
+    assert.deepStrictEqual(unhandled, [])
+  })
+
+  it("names the key whose async dependency rejected", async () => {
+    const cache = named("Cache", async () => {
+      throw new Error("timeout")
+    })
+    const service = injectObject((deps) => deps, { db: async () => "db", cache })
+
+    await assert.rejects(
+      createContainer().get(service),
+      (err) => err instanceof ResolutionError && err.context.key === "cache"
+    )
+  })
 })
 
 describe("transient()", () => {
@@ -375,6 +523,27 @@ describe("timeout()", () => {
     const result = await container.get(sync)
     assert.deepStrictEqual(result, { value: 42 })
   })
+
+  it("runs its timer on the container's clock and clears it", async () => {
+    const timers = new Map()
+    let nextId = 0
+    container.override(clock, () => ({
+      now: () => 0,
+      setTimeout: (fn, ms) => (timers.set(++nextId, { fn, ms }), nextId),
+      clearTimeout: (id) => timers.delete(id),
+    }))
+    const never = timeout(named("Never", () => new Promise(() => {})), 5000)
+    const fast = timeout(named("Fast", async () => "done"), 5000)
+
+    const pending = container.get(never)
+    await Promise.resolve()
+    assert.deepStrictEqual([...timers.values()].map((t) => t.ms), [5000])
+    timers.get(1).fn()
+    await assert.rejects(pending, (err) => err.name === "TimeoutError")
+
+    assert.strictEqual(await container.get(fast), "done")
+    assert.strictEqual(timers.size, 0)
+  })
 })
 
 describe("tagged()", () => {
@@ -411,6 +580,307 @@ describe("tagged()", () => {
   })
 })
 
+describe("collection()", () => {
+  it("resolves every contributed member", () => {
+    const handlers = collection("Handlers")
+    contribute(handlers, named("A", () => "a"))
+    contribute(handlers, named("B", () => "b"))
+
+    const container = createContainer()
+
+    assert.deepStrictEqual(container.get(handlers), ["a", "b"])
+  })
+
+  it("sorts members by order, keeping registration order for ties", () => {
+    const middleware = collection("Middleware")
+    contribute(middleware, named("Auth", () => "auth"), { order: 20 })
+    contribute(middleware, named("Logging", () => "logging"), { order: 10 })
+    contribute(middleware, named("Cors", () => "cors"), { order: 10 })
+
+    const container = createContainer()
+
+    assert.deepStrictEqual(container.get(middleware), ["logging", "cors", "auth"])
+  })
+
+  it("caches the members but not the array", () => {
+    const items = collection("Items")
+    const item = named("Item", () => ({}))
+    contribute(items, item)
+
+    const container = createContainer()
+    const first = container.get(items)
+    const second = container.get(items)
+
+    assert.notStrictEqual(first, second)
+    assert.strictEqual(first[0], second[0])
+  })
+
+  it("awaits async members", async () => {
+    const items = collection("Items")
+    contribute(items, named("Sync", () => 1))
+    contribute(items, named("Async", async () => 2))
+
+    const container = createContainer()
+
+    assert.deepStrictEqual(await container.get(items), [1, 2])
+  })
+
+  it("adds per-container members only in that container and its children", () => {
+    const handlers = collection("Handlers")
+    contribute(handlers, named("Shared", () => "shared"))
+
+    const parent = createContainer()
+    contribute(handlers, named("ParentOnly", () => "parent"), { container: parent })
+    const child = childContainer(parent)
+    contribute(handlers, named("ChildOnly", () => "child"), { container: child })
+
+    assert.deepStrictEqual(parent.get(handlers), ["shared", "parent"])
+    assert.deepStrictEqual(child.get(handlers), ["shared", "parent", "child"])
+    assert.deepStrictEqual(createContainer().get(handlers), ["shared"])
+  })
+
+  it("returns a function that removes the member", () => {
+    const handlers = collection("Handlers")
+    const remove = contribute(handlers, named("A", () => "a"))
+
+    remove()
+
+    assert.deepStrictEqual(createContainer().get(handlers), [])
+  })
+
+  it("resolves in a frozen container once its members are warm", async () => {
+    const handlers = collection("Handlers")
+    contribute(handlers, named("A", () => "a"))
+    contribute(handlers, named("B", async () => "b"))
+
+    const container = createContainer()
+    await container.warmup([handlers])
+    container.freeze()
+
+    assert.deepStrictEqual(await container.get(handlers), ["a", "b"])
+    assert.deepStrictEqual(await container.get(optional(handlers)), ["a", "b"])
+  })
+
+  it("is still frozen out while a member is cold", () => {
+    const handlers = collection("Handlers")
+    const warm = named("Warm", () => "warm")
+    contribute(handlers, warm)
+    contribute(handlers, named("Cold", () => "cold"))
+
+    const container = createContainer()
+    container.get(warm)
+    container.freeze()
+
+    assert.throws(() => container.get(handlers), (err) => err.name === "FrozenContainerError")
+    assert.strictEqual(container.get(optional(handlers)), undefined)
+  })
+
+  it("rejects contributions to a plain factory", () => {
+    const plain = named("Plain", () => [])
+
+    assert.throws(
+      () => contribute(plain, named("A", () => "a")),
+      /'Plain' is not a collection/
+    )
+  })
+})
+
+describe("optional() and withDefault()", () => {
+  it("resolve the factory when it is provided", () => {
+    const logger = named("Logger", () => "real")
+    const container = createContainer()
+
+    assert.strictEqual(container.get(optional(logger)), "real")
+    assert.strictEqual(container.get(withDefault(logger, "fallback")), "real")
+  })
+
+  it("fall back for an unbound token", () => {
+    const Metrics = token("Metrics")
+    const container = createContainer()
+
+    assert.strictEqual(container.get(optional(Metrics)), undefined)
+    assert.strictEqual(container.get(withDefault(Metrics, "noop")), "noop")
+  })
+
+  it("fall back for a factory overridden with absent", async () => {
+    const metrics = named("Metrics", () => "real")
+    const container = createContainer()
+    await container.override(metrics, absent)
+
+    assert.strictEqual(container.get(withDefault(metrics, "noop")), "noop")
+    assert.throws(() => container.get(metrics), /'Metrics' is overridden with absent/)
+  })
+
+  it("fall back for factories a frozen container cannot resolve", () => {
+    const warm = named("Warm", () => "warm")
+    const cold = named("Cold", () => "cold")
+    const container = createContainer()
+    container.get(warm)
+    container.freeze()
+
+    assert.strictEqual(container.get(optional(warm)), "warm")
+    assert.strictEqual(container.get(optional(cold)), undefined)
+  })
+
+  it("resolve bound tokens whose binding a frozen container has cached", () => {
+    const Cache = token("Cache")
+    const Queue = token("Queue")
+    const container = createContainer()
+      .bind(Cache, () => "redis")
+      .bind(Queue, () => "sqs")
+    container.get(Cache)
+    container.freeze()
+
+    assert.strictEqual(container.get(optional(Cache)), "redis")
+    assert.strictEqual(container.get(optional(Queue)), undefined)
+  })
+
+  it("work as inject() dependencies", () => {
+    const Cache = token("Cache")
+    const service = inject(
+      (cache, ttl) => ({ cache, ttl }),
+      optional(Cache),
+      withDefault(token("Ttl"), 60)
+    )
+    const container = createContainer()
+
+    assert.deepStrictEqual(container.get(service), { cache: undefined, ttl: 60 })
+
+    const bound = createContainer().bind(Cache, () => "redis")
+    assert.deepStrictEqual(bound.get(service), { cache: "redis", ttl: 60 })
+  })
+
+  it("let errors from the factory body propagate", () => {
+    const broken = named("Broken", () => {
+      throw new Error("boom")
+    })
+    const container = createContainer()
+
+    assert.throws(
+      () => container.get(withDefault(broken, "fallback")),
+      (err) => err instanceof ResolutionError && err.cause.message === "boom"
+    )
+  })
+
+  it("let errors from bound factories propagate", () => {
+    const Db = token("Db")
+    const container = createContainer().bind(Db, () => {
+      throw new Error("connection refused")
+    })
+
+    assert.throws(() => container.get(optional(Db)), ResolutionError)
+  })
+})
+
+describe("token()", () => {
+  it("resolves the factory bound in the container", () => {
+    const Greeting = token("Greeting")
+    const container = createContainer().bind(Greeting, () => "hello")
+
+    assert.strictEqual(container.get(Greeting), "hello")
+  })
+
+  it("caches the bound factory", () => {
+    const Service = token("Service")
+    const impl = named("ServiceImpl", () => ({}))
+    const container = createContainer().bind(Service, impl)
+
+    assert.strictEqual(container.get(Service), container.get(Service))
+    assert.strictEqual(container.get(Service), container.get(impl))
+  })
+
+  it("throws a DIError listing the bound tokens when unbound", () => {
+    const Db = token("Db")
+    const Cache = token("Cache")
+    const Logger = token("Logger")
+    const parent = createContainer().bind(Db, () => "db")
+    const child = childContainer(parent).bind(Logger, () => "logger")
+
+    assert.throws(
+      () => child.get(Cache),
+      (err) =>
+        err instanceof DIError &&
+        /No binding for token 'Cache'/.test(err.message) &&
+        /Bound tokens: Logger, Db/.test(err.message)
+    )
+  })
+
+  it("lets a child rebind a token without touching the parent", () => {
+    const Mailer = token("Mailer")
+    const parent = createContainer().bind(Mailer, () => "smtp")
+    const child = childContainer(parent)
+
+    assert.strictEqual(child.get(Mailer), "smtp")
+
+    child.bind(Mailer, () => "fake")
+
+    assert.strictEqual(child.get(Mailer), "fake")
+    assert.strictEqual(parent.get(Mailer), "smtp")
+  })
+
+  it("reports whether a token is bound", () => {
+    const Clock = token("Clock")
+    const parent = createContainer()
+    const child = childContainer(parent)
+
+    assert.strictEqual(child.isBound(Clock), false)
+    parent.bind(Clock, () => Date.now)
+    assert.strictEqual(child.isBound(Clock), true)
+  })
+
+  it("resolves in a frozen container once its binding is warm", async () => {
+    const Db = token("Db")
+    const Cold = token("Cold")
+    const container = createContainer()
+      .bind(Db, async () => "postgres")
+      .bind(Cold, () => "cold")
+    await container.warmup([Db])
+    container.freeze()
+
+    assert.strictEqual(await container.get(Db), "postgres")
+    assert.throws(() => container.get(Cold), (err) => err.name === "FrozenContainerError")
+  })
+
+  it("refuses to bind a plain factory", () => {
+    const plain = named("Plain", () => 1)
+
+    assert.throws(
+      () => createContainer().bind(/** @type {any} */ (plain), () => 2),
+      /'Plain' is not a token/
+    )
+  })
+})
+
+describe("registry()", () => {
+  it("returns the same token for the same name", () => {
+    const tokens = registry()
+
+    assert.strictEqual(tokens.token("db"), tokens.token("db"))
+    assert.notStrictEqual(tokens.token("db"), tokens.token("cache"))
+  })
+
+  it("enumerates and checks token names", () => {
+    const tokens = registry()
+    tokens.token("db")
+    tokens.token("cache")
+
+    assert.deepStrictEqual(tokens.names(), ["db", "cache"])
+    assert.strictEqual(tokens.has("db"), true)
+    assert.strictEqual(tokens.has("queue"), false)
+  })
+
+  it("lists the names bound in a container", () => {
+    const tokens = registry()
+    const parent = createContainer().bind(tokens.token("db"), () => "db")
+    const child = childContainer(parent).bind(tokens.token("cache"), () => "cache")
+    tokens.token("queue")
+
+    assert.deepStrictEqual(parent.get(tokens.token("db")), "db")
+    assert.deepStrictEqual(tokens.bound(parent), ["db"])
+    assert.deepStrictEqual(tokens.bound(child), ["db", "cache"])
+  })
+})
+
 describe("wrap()", () => {
   let container
 
@@ -437,6 +907,138 @@ describe("wrap()", () => {
   })
 })
 
+describe("disposable()", () => {
+  it("attaches per-instance cleanup to an inject() factory", async () => {
+    class Pool {
+      closed = false
+      end() {
+        this.closed = true
+      }
+    }
+    const pool = disposable(inject(Pool), (p) => p.end())
+    const container = createContainer()
+
+    const instance = container.get(pool)
+    await container.dispose()
+
+    assert.strictEqual(instance.closed, true)
+  })
+
+  it("keeps the wrapped factory's name and lifetime", () => {
+    const command = disposable(
+      transient(named("Command", () => ({}))),
+      () => {}
+    )
+    const container = createContainer()
+
+    assert.strictEqual(command.displayName, "Command")
+    assert.notStrictEqual(container.get(command), container.get(command))
+  })
+})
+
+describe("afterCreate() and onInit", () => {
+  it("runs a sync hook before the instance is returned", () => {
+    class Cache {
+      warm = false
+    }
+    const cache = afterCreate(inject(Cache), (c) => {
+      c.warm = true
+    })
+    const container = createContainer()
+
+    assert.strictEqual(container.get(cache).warm, true)
+  })
+
+  it("awaits an async hook before caching the instance", async () => {
+    const events = []
+    const db = factory("Database", () => ({ connected: false }), {
+      onInit: async (instance) => {
+        await new Promise((r) => setTimeout(r, 5))
+        instance.connected = true
+        events.push("connected")
+      },
+    })
+    const container = createContainer()
+
+    const pending = container.get(db)
+    assert.ok(pending instanceof Promise)
+    assert.strictEqual(container.get(db), pending)
+
+    const instance = await pending
+    assert.strictEqual(instance.connected, true)
+    assert.strictEqual(container.get(db), instance)
+    assert.deepStrictEqual(events, ["connected"])
+  })
+
+  it("runs after an async factory resolves", async () => {
+    const conn = factory("Connection", async () => ({ open: false }), {
+      onInit: (instance) => {
+        instance.open = true
+      },
+    })
+    const container = createContainer()
+
+    assert.strictEqual((await container.get(conn)).open, true)
+  })
+
+  it("passes the container so the hook can resolve dependencies", () => {
+    const config = () => ({ size: 3 })
+    const pool = afterCreate(
+      named("Pool", () => ({ size: 0 })),
+      (p, c) => {
+        p.size = c.get(config).size
+      }
+    )
+    const container = createContainer()
+
+    assert.strictEqual(container.get(pool).size, 3)
+  })
+
+  it("does not cache an instance whose async hook rejects", async () => {
+    let attempts = 0
+    const db = factory("Database", () => ({}), {
+      onInit: async () => {
+        attempts++
+        if (attempts === 1) throw new Error("connect failed")
+      },
+    })
+    const container = createContainer()
+
+    await assert.rejects(
+      container.get(db),
+      (err) => err instanceof ResolutionError && err.cause.message === "connect failed"
+    )
+    assert.ok(await container.get(db))
+    assert.strictEqual(attempts, 2)
+  })
+
+  it("wraps a sync hook failure in a ResolutionError", () => {
+    const broken = afterCreate(named("Broken", () => ({})), () => {
+      throw new Error("init failed")
+    })
+    const container = createContainer()
+
+    assert.throws(() => container.get(broken), ResolutionError)
+    assert.strictEqual(container.has(broken), false)
+  })
+
+  it("runs on every transient instance", () => {
+    let calls = 0
+    const command = factory("Command", () => ({}), {
+      transient: true,
+      onInit: () => {
+        calls++
+      },
+    })
+    const container = createContainer()
+
+    container.get(command)
+    container.get(command)
+
+    assert.strictEqual(calls, 2)
+  })
+})
+
 describe("scoped()", () => {
   it("creates a factory creator that captures args (container always first)", () => {
     // scoped() always passes container as first arg
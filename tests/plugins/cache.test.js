@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach } from "node:test"
 import assert from "node:assert"
-import { createContainer, factory } from "../../lib/core.js"
+import { createContainer, factory, clock } from "../../lib/core.js"
 import {
   ttlCache,
   slidingCache,
@@ -71,6 +71,41 @@ describe("cache plugin", () => {
       assert.deepStrictEqual(result2, { value: 2 })
     })
 
+    it("reads the time from the container's clock", () => {
+      let now = 0
+      container.override(clock, () => ({ now: () => now, setTimeout, clearTimeout }))
+      let callCount = 0
+      const cached = ttlCache({ ttlMs: 1000 })(factory("Config", () => ++callCount))
+
+      cached(container)
+      now = 999
+      cached(container)
+      assert.strictEqual(callCount, 1)
+
+      now = 1000
+      cached(container)
+      assert.strictEqual(callCount, 2)
+    })
+
+    it("prefers a clock option", () => {
+      let now = 0
+      container.override(clock, () => {
+        throw new Error("not used")
+      })
+      let callCount = 0
+      const cached = keyedCache({
+        ttlMs: 100,
+        keyFn: () => "k",
+        clock: { now: () => now, setTimeout, clearTimeout },
+      })(factory("Config", () => ++callCount))
+
+      cached(container)
+      now = 100
+      cached(container)
+
+      assert.strictEqual(callCount, 2)
+    })
+
     it("returns fresh value while expired", async () => {
       let callCount = 0
       const config = factory("Config", () => {
@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach } from "node:test"
 import assert from "node:assert"
-import { createContainer, factory } from "../../lib/core.js"
+import { createContainer, factory, clock } from "../../lib/core.js"
 import {
   circuitBreaker,
   circuitBreakerPlugin,
@@ -50,7 +50,7 @@ describe("circuit-breaker plugin", () => {
 
       await assert.rejects(
         async () => container.get(protected_),
-        { message: "Connection failed" }
+        (err) => err.cause.message === "Connection failed"
       )
     })
 
@@ -191,6 +191,29 @@ describe("circuit-breaker plugin", () => {
       })
     })
 
+    it("waits out resetTimeoutMs on the container's clock", async () => {
+      let now = 0
+      container.override(clock, () => ({ now: () => now, setTimeout, clearTimeout }))
+      let shouldFail = true
+      const flaky = factory("Flaky", async () => {
+        if (shouldFail) throw new Error("Connection failed")
+        return { ok: true }
+      })
+      const protected_ = circuitBreaker("clock-test", {
+        failureThreshold: 1,
+        resetTimeoutMs: 60_000,
+      })(flaky)
+
+      await assert.rejects(protected_(container), /Connection failed/)
+      shouldFail = false
+
+      now = 59_999
+      await assert.rejects(protected_(container), CircuitOpenError)
+
+      now = 60_000
+      assert.deepStrictEqual(await protected_(container), { ok: true })
+    })
+
     it("trips back to OPEN on failure in HALF_OPEN", async () => {
       let shouldFail = true
       const flaky = factory("Flaky", async () => {
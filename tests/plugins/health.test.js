@@ -1,7 +1,8 @@
 import { describe, it, beforeEach, afterEach } from "node:test"
 import assert from "node:assert"
-import { createContainer, factory } from "../../lib/core.js"
+import { createContainer, childContainer, factory } from "../../lib/core.js"
 import { health } from "../../lib/plugins/health.js"
+import { circuitBreaker, circuitBreakerPlugin } from "../../lib/plugins/circuit-breaker.js"
 
 describe("health plugin", () => {
   let container
@@ -137,6 +138,134 @@ describe("health plugin", () => {
     })
   })
 
+  describe("liveness and readiness", () => {
+    it("registers checks as readiness by default", async () => {
+      container.onHealthCheck("db", async () => {})
+
+      const report = await container.checkReadiness()
+
+      assert.strictEqual(report.checks.get("db").group, "readiness")
+      assert.strictEqual((await container.checkLiveness()).checks.size, 0)
+    })
+
+    it("runs only the requested group", async () => {
+      const calls = []
+      container.onHealthCheck("eventLoop", async () => calls.push("eventLoop"), {
+        group: "liveness",
+      })
+      container.onHealthCheck("db", async () => calls.push("db"))
+
+      const liveness = await container.checkLiveness()
+      assert.deepStrictEqual([...liveness.checks.keys()], ["eventLoop"])
+      assert.deepStrictEqual(calls, ["eventLoop"])
+
+      const readiness = await container.checkHealth({ group: "readiness" })
+      assert.deepStrictEqual([...readiness.checks.keys()], ["db"])
+    })
+
+    it("keeps liveness healthy when a readiness check fails", async () => {
+      container.onHealthCheck("process", async () => {}, { group: "liveness" })
+      container.onHealthCheck("db", async () => {
+        throw new Error("down")
+      })
+
+      assert.strictEqual((await container.checkLiveness()).healthy, true)
+      assert.strictEqual((await container.checkReadiness()).healthy, false)
+    })
+  })
+
+  describe("check options", () => {
+    it("runs checks in parallel", async () => {
+      const delay = () => new Promise((r) => setTimeout(r, 20))
+      container.onHealthCheck("a", delay)
+      container.onHealthCheck("b", delay)
+      container.onHealthCheck("c", delay)
+
+      const start = performance.now()
+      await container.checkHealth()
+
+      assert.ok(performance.now() - start < 55)
+    })
+
+    it("fails a check that exceeds its timeout", async () => {
+      container.onHealthCheck("hung", () => new Promise(() => {}), { timeout: 5 })
+
+      const report = await container.checkHealth()
+
+      const result = report.checks.get("hung")
+      assert.strictEqual(result.healthy, false)
+      assert.match(result.error.message, /Health check 'hung' timed out after 5ms/)
+    })
+
+    it("reports degraded when only non-critical checks fail", async () => {
+      container.onHealthCheck("db", async () => {})
+      container.onHealthCheck("recommendations", async () => {
+        throw new Error("slow")
+      }, { critical: false })
+
+      const report = await container.checkHealth()
+
+      assert.strictEqual(report.healthy, true)
+      assert.strictEqual(report.status, "degraded")
+      assert.strictEqual(report.checks.get("recommendations").critical, false)
+    })
+
+    it("reports unhealthy when a critical check fails", async () => {
+      container.onHealthCheck("db", async () => {
+        throw new Error("down")
+      })
+      container.onHealthCheck("recommendations", async () => {
+        throw new Error("slow")
+      }, { critical: false })
+
+      const report = await container.checkHealth()
+
+      assert.strictEqual(report.status, "unhealthy")
+    })
+
+    it("caches results for cacheMs", async () => {
+      let calls = 0
+      container.onHealthCheck("db", async () => {
+        calls++
+      }, { cacheMs: 30 })
+
+      const first = await container.checkHealth()
+      const second = await container.checkHealth()
+
+      assert.strictEqual(calls, 1)
+      assert.strictEqual(first.checks.get("db").cached, undefined)
+      assert.strictEqual(second.checks.get("db").cached, true)
+
+      await new Promise((r) => setTimeout(r, 40))
+      await container.checkHealth()
+      assert.strictEqual(calls, 2)
+    })
+
+    it("shares a running check between concurrent probes", async () => {
+      let calls = 0
+      container.onHealthCheck("db", async () => {
+        calls++
+        await new Promise((r) => setTimeout(r, 5))
+      }, { cacheMs: 1000 })
+
+      await Promise.all([container.checkHealth(), container.checkReadiness()])
+
+      assert.strictEqual(calls, 1)
+    })
+
+    it("does not cache without cacheMs", async () => {
+      let calls = 0
+      container.onHealthCheck("db", async () => {
+        calls++
+      })
+
+      await container.checkHealth()
+      await container.checkHealth()
+
+      assert.strictEqual(calls, 2)
+    })
+  })
+
   describe("integration with factories", () => {
     it("can check health of resolved services", async () => {
       const db = factory("Database", (c) => {
@@ -163,4 +292,128 @@ describe("health plugin", () => {
       assert.strictEqual(report.healthy, true)
     })
   })
+
+  describe("factory healthCheck option", () => {
+    it("registers the check once the factory is resolved", async () => {
+      const db = factory("Database", () => ({ connected: true }), {
+        healthCheck: async (instance) => {
+          if (!instance.connected) throw new Error("Database not connected")
+        },
+      })
+
+      assert.strictEqual((await container.checkHealth()).checks.size, 0)
+
+      const instance = container.get(db)
+      const report = await container.checkHealth()
+      assert.strictEqual(report.checks.get("Database").healthy, true)
+
+      instance.connected = false
+      const failing = await container.checkHealth()
+      assert.strictEqual(failing.healthy, false)
+      assert.strictEqual(failing.checks.get("Database").error.message, "Database not connected")
+    })
+
+    it("accepts check options", async () => {
+      const cache = factory("Cache", () => ({}), {
+        healthCheck: {
+          check: async () => {
+            throw new Error("Cache down")
+          },
+          critical: false,
+          group: "liveness",
+        },
+      })
+
+      container.get(cache)
+      const report = await container.checkLiveness()
+
+      assert.strictEqual(report.status, "degraded")
+      assert.strictEqual(report.checks.get("Cache").critical, false)
+    })
+
+    it("removes the check when the instance is disposed", async () => {
+      const db = factory("Database", () => ({}), { healthCheck: async () => {} })
+
+      container.get(db)
+      assert.strictEqual((await container.checkHealth()).checks.has("Database"), true)
+
+      await container.dispose()
+      assert.strictEqual((await container.checkHealth()).checks.has("Database"), false)
+    })
+
+    it("removes the check when the instance is evicted", async () => {
+      const db = factory("Database", () => ({}), { healthCheck: async () => {} })
+      const cache = factory("Cache", () => ({}), { healthCheck: async () => {} })
+
+      container.get(db)
+      container.get(cache)
+      await container.override(db, () => ({}))
+      assert.deepStrictEqual([...(await container.checkHealth()).checks.keys()], ["Cache"])
+
+      await container.clearCache()
+      assert.strictEqual((await container.checkHealth()).checks.size, 0)
+    })
+
+    it("registers checks for scoped instances in child containers", async () => {
+      const session = factory("Session", () => ({ open: true }), {
+        lifetime: "scoped",
+        healthCheck: (s) => {
+          if (!s.open) throw new Error("Session closed")
+        },
+      })
+      const scope = childContainer(childContainer(container))
+
+      scope.get(session).open = false
+      assert.strictEqual((await container.checkHealth()).checks.get("Session").healthy, false)
+
+      await scope.dispose()
+      assert.strictEqual((await container.checkHealth()).checks.has("Session"), false)
+    })
+  })
+
+  describe("circuit breakers", () => {
+    beforeEach(() => {
+      container = createContainer().with(health).with(circuitBreakerPlugin)
+      container.clearCircuitRegistry()
+    })
+
+    afterEach(() => {
+      container.clearCircuitRegistry()
+    })
+
+    it("reports closed circuits as healthy readiness checks", async () => {
+      const api = circuitBreaker("payments")(factory("Payments", async () => ({})))
+
+      await container.get(api)
+      const report = await container.checkReadiness()
+
+      const entry = report.checks.get("circuit:payments")
+      assert.strictEqual(entry.healthy, true)
+      assert.deepStrictEqual(entry.circuit, { state: "CLOSED", failures: 0 })
+    })
+
+    it("reports an open circuit as degraded", async () => {
+      const api = circuitBreaker("payments", { failureThreshold: 1 })(
+        factory("Payments", async () => {
+          throw new Error("Connection refused")
+        })
+      )
+
+      await assert.rejects(() => container.get(api))
+      const report = await container.checkHealth()
+
+      assert.strictEqual(report.healthy, true)
+      assert.strictEqual(report.status, "degraded")
+      const entry = report.checks.get("circuit:payments")
+      assert.strictEqual(entry.circuit.state, "OPEN")
+      assert.strictEqual(entry.error.message, "Connection refused")
+    })
+
+    it("leaves circuits out of liveness", async () => {
+      circuitBreaker("payments")(factory("Payments", async () => ({})))
+
+      const report = await container.checkLiveness()
+      assert.strictEqual(report.checks.has("circuit:payments"), false)
+    })
+  })
 })
@@ -0,0 +1,148 @@
+import { describe, it, afterEach } from "node:test"
+import assert from "node:assert"
+import { createServer } from "node:http"
+import { createContainer, factory } from "../../lib/core.js"
+import { health } from "../../lib/plugins/health.js"
+import { metrics } from "../../lib/plugins/metrics.js"
+import { observability } from "../../lib/plugins/observability.js"
+import { httpHandler, httpMiddleware } from "../../lib/plugins/http.js"
+
+describe("http endpoints", () => {
+  let server
+
+  /** Starts a server on a free port and returns its base URL. */
+  const listen = async (listener) => {
+    server = createServer(listener)
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+    return `http://127.0.0.1:${server.address().port}`
+  }
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  describe("httpHandler()", () => {
+    it("serves liveness and readiness separately", async () => {
+      const app = createContainer().with(health)
+      app.onHealthCheck("event-loop", async () => {}, { group: "liveness" })
+      app.onHealthCheck("database", async () => {
+        throw new Error("Connection refused")
+      })
+      const base = await listen(httpHandler(app))
+
+      const live = await fetch(`${base}/healthz`)
+      assert.strictEqual(live.status, 200)
+      assert.deepStrictEqual(Object.keys((await live.json()).checks), ["event-loop"])
+
+      const ready = await fetch(`${base}/readyz`)
+      assert.strictEqual(ready.status, 503)
+      const body = await ready.json()
+      assert.strictEqual(body.status, "unhealthy")
+      assert.strictEqual(body.checks.database.error, "Connection refused")
+    })
+
+    it("answers 200 for a degraded report", async () => {
+      const app = createContainer().with(health)
+      app.onHealthCheck("recommendations", async () => {
+        throw new Error("down")
+      }, { critical: false })
+      const base = await listen(httpHandler(app))
+
+      const res = await fetch(`${base}/readyz`)
+      assert.strictEqual(res.status, 200)
+      assert.strictEqual((await res.json()).status, "degraded")
+    })
+
+    it("serves Prometheus metrics", async () => {
+      const app = createContainer().with(metrics())
+      app.get(factory("Config", () => ({})))
+      const base = await listen(httpHandler(app))
+
+      const res = await fetch(`${base}/metrics`)
+      assert.strictEqual(res.status, 200)
+      assert.match(res.headers.get("content-type"), /^text\/plain; version=0\.0\.4/)
+      const text = await res.text()
+      assert.match(text, /di_resolutions_total\{factory="Config"\} 1/)
+      assert.ok(text.endsWith("\n"))
+    })
+
+    it("serves the dependency graph as Mermaid or JSON", async () => {
+      const app = createContainer().with(observability)
+      const config = factory("Config", () => ({}))
+      const db = factory("Database", (c) => ({ config: c.get(config) }))
+      app.get(db)
+      const base = await listen(httpHandler(app))
+
+      const mermaid = await (await fetch(`${base}/debug/graph`)).text()
+      assert.match(mermaid, /Database --> Config/)
+
+      const json = await (await fetch(`${base}/debug/graph?format=json`)).json()
+      assert.deepStrictEqual(json.edges, [{ from: "Database", to: "Config" }])
+      assert.deepStrictEqual(json.nodes.sort(), ["Config", "Database"])
+
+      const accepted = await fetch(`${base}/debug/graph`, {
+        headers: { accept: "application/json" },
+      })
+      assert.match(accepted.headers.get("content-type"), /^application\/json/)
+    })
+
+    it("answers 404 for endpoints whose plugin is not installed", async () => {
+      const base = await listen(httpHandler(createContainer().with(health)))
+
+      assert.strictEqual((await fetch(`${base}/metrics`)).status, 404)
+      assert.strictEqual((await fetch(`${base}/elsewhere`)).status, 404)
+    })
+
+    it("rejects methods other than GET and HEAD", async () => {
+      const base = await listen(httpHandler(createContainer().with(health)))
+
+      const res = await fetch(`${base}/healthz`, { method: "POST" })
+      assert.strictEqual(res.status, 405)
+      assert.strictEqual(res.headers.get("allow"), "GET, HEAD")
+
+      const head = await fetch(`${base}/healthz`, { method: "HEAD" })
+      assert.strictEqual(head.status, 200)
+    })
+
+    it("supports a base path and custom or disabled paths", async () => {
+      const app = createContainer().with(health).with(observability)
+      const base = await listen(
+        httpHandler(app, { basePath: "/ops/", paths: { liveness: "/livez", graph: false } })
+      )
+
+      assert.strictEqual((await fetch(`${base}/ops/livez`)).status, 200)
+      assert.strictEqual((await fetch(`${base}/ops/readyz`)).status, 200)
+      assert.strictEqual((await fetch(`${base}/healthz`)).status, 404)
+      assert.strictEqual((await fetch(`${base}/ops/debug/graph`)).status, 404)
+    })
+
+    it("answers 500 when an endpoint throws", async () => {
+      const app = createContainer().with(metrics())
+      app.toPrometheus = () => {
+        throw new Error("broken exporter")
+      }
+      const base = await listen(httpHandler(app))
+
+      const res = await fetch(`${base}/metrics`)
+      assert.strictEqual(res.status, 500)
+      assert.match(await res.text(), /broken exporter/)
+    })
+  })
+
+  describe("httpMiddleware()", () => {
+    it("serves endpoints and passes everything else on", async () => {
+      const app = createContainer().with(health)
+      const middleware = httpMiddleware(app)
+      const base = await listen((req, res) => {
+        middleware(req, res, () => {
+          res.writeHead(200, { "Content-Type": "text/plain" })
+          res.end("app")
+        })
+      })
+
+      assert.strictEqual((await fetch(`${base}/healthz`)).status, 200)
+      assert.strictEqual(await (await fetch(`${base}/users`)).text(), "app")
+      assert.strictEqual(await (await fetch(`${base}/metrics`)).text(), "app")
+    })
+  })
+})
@@ -63,6 +63,39 @@ describe("metrics plugin", () => {
       assert.strictEqual(container.getErrorCount("FailingService"), 2)
     })
 
+    it("records failed resolutions automatically", async () => {
+      const sync = factory("SyncFailure", () => {
+        throw new Error("boom")
+      })
+      const async = factory("AsyncFailure", async () => {
+        throw new Error("boom")
+      })
+
+      assert.throws(() => container.get(sync))
+      await assert.rejects(() => container.get(async))
+
+      assert.strictEqual(container.getErrorCount("SyncFailure"), 1)
+      assert.strictEqual(container.getErrorCount("AsyncFailure"), 1)
+      assert.strictEqual(container.getActiveResolutions(), 0)
+    })
+
+    it("counts failed async transients as errors only", async () => {
+      const flaky = factory(
+        "Flaky",
+        async () => {
+          throw new Error("boom")
+        },
+        { transient: true }
+      )
+
+      await assert.rejects(() => container.get(flaky))
+      await assert.rejects(() => container.get(flaky))
+
+      assert.strictEqual(container.getErrorCount("Flaky"), 2)
+      assert.strictEqual(container.getCounter("Flaky"), 0)
+      assert.strictEqual(container.getActiveResolutions(), 0)
+    })
+
     it("returns 0 for factories with no errors", () => {
       assert.strictEqual(container.getErrorCount("HealthyService"), 0)
     })
@@ -1,6 +1,14 @@
 import { describe, it, beforeEach, afterEach } from "node:test"
 import assert from "node:assert"
-import { createContainer, factory, named, transient } from "../../lib/core.js"
+import {
+  collection,
+  contribute,
+  createContainer,
+  factory,
+  named,
+  token,
+  transient,
+} from "../../lib/core.js"
 import { observability } from "../../lib/plugins/observability.js"
 
 describe("observability plugin", () => {
@@ -211,6 +219,103 @@ describe("observability plugin", () => {
     })
   })
 
+  describe("lifetime analysis", () => {
+    it("flags a singleton that captures a transient", () => {
+      const command = transient(named("Command", () => ({})))
+      const handler = factory("Handler", (c) => ({ command: c.get(command) }))
+
+      container.get(handler)
+
+      const [violation] = container.getLifetimeViolations()
+      assert.strictEqual(violation.factory, "Handler")
+      assert.strictEqual(violation.dependency, "Command")
+      assert.strictEqual(violation.dependencyLifetime, "transient")
+      assert.deepStrictEqual(violation.path, ["Handler", "Command"])
+    })
+
+    it("follows transients to scoped dependencies", () => {
+      const ctx = factory("RequestContext", () => ({}), { lifetime: "scoped" })
+      const command = factory("Command", (c) => ({ ctx: c.get(ctx) }), {
+        transient: true,
+      })
+      const handler = factory("Handler", (c) => ({ command: c.get(command) }))
+
+      container.get(handler)
+
+      const scoped = container
+        .getLifetimeViolations()
+        .find((v) => v.dependencyLifetime === "scoped")
+      assert.deepStrictEqual(scoped.path, ["Handler", "Command", "RequestContext"])
+    })
+
+    it("ignores singletons that depend on singletons", () => {
+      const config = factory("Config", () => ({}))
+      const db = factory("Database", (c) => ({ config: c.get(config) }))
+
+      container.get(db)
+
+      assert.deepStrictEqual(container.getLifetimeViolations(), [])
+    })
+
+    it("judges tokens by the factory bound to them", async () => {
+      const Db = token("Db")
+      const Ctx = token("Ctx")
+      const service = factory("Service", (c) => ({ db: c.get(Db) }))
+      const handler = factory("Handler", (c) => ({ ctx: c.get(Ctx) }))
+      container.bind(Db, named("Postgres", () => ({})))
+      container.bind(Ctx, transient(named("Context", () => ({}))))
+
+      const report = await container.validateReport([service], { strictLifetimes: true })
+      container.get(handler)
+
+      assert.strictEqual(report.valid, true)
+      assert.deepStrictEqual(
+        container.getLifetimeViolations().map((v) => v.path),
+        [["Handler", "Ctx", "Context"]]
+      )
+    })
+
+    it("judges collections by their members", () => {
+      const handlers = collection("Handlers")
+      contribute(handlers, named("Auth", () => ({})))
+      contribute(handlers, transient(named("Audit", () => ({}))))
+      const router = factory("Router", (c) => ({ handlers: c.get(handlers) }))
+
+      container.get(router)
+
+      assert.deepStrictEqual(
+        container.getLifetimeViolations().map((v) => v.path),
+        [["Router", "Handlers", "Audit"]]
+      )
+    })
+
+    it("reports violations in validateReport() without failing it", async () => {
+      const command = transient(named("Command", () => ({})))
+      const handler = factory("Handler", (c) => ({ command: c.get(command) }))
+
+      const report = await container.validateReport([handler])
+
+      assert.strictEqual(report.valid, true)
+      assert.strictEqual(report.lifetimeViolations.length, 1)
+
+      const strict = await container.validateReport([handler], {
+        strictLifetimes: true,
+      })
+      assert.strictEqual(strict.valid, false)
+    })
+
+    it("throws from validate() with strictLifetimes", async () => {
+      const command = transient(named("Command", () => ({})))
+      const handler = factory("Handler", (c) => ({ command: c.get(command) }))
+
+      await container.validate([handler])
+      await assert.rejects(
+        () => container.validate([handler], { strictLifetimes: true }),
+        { message: /Singleton 'Handler' captures transient 'Command'/ }
+      )
+    })
+  })
+
   describe("getResolutionContext()", () => {
     it("returns current depth", () => {
       let capturedContext = null
@@ -290,6 +395,18 @@ describe("observability plugin", () => {
       assert.ok(loggerDeps.has(config))
     })
 
+    it("tracks dependencies resolved after an await", async () => {
+      const config = factory("Config", () => ({}))
+      const db = factory("Database", async (c) => {
+        await new Promise((resolve) => setTimeout(resolve, 1))
+        return { config: c.get(config) }
+      })
+
+      await container.get(db)
+
+      assert.deepStrictEqual([...container.getDependencyGraph().edges.get(db)], [config])
+    })
+
     describe("toMermaid()", () => {
       it("generates valid Mermaid diagram", () => {
         const config = factory("Config", () => ({}))
@@ -97,7 +97,8 @@ describe("patterns plugin", () => {
       const container = createContainer()
       assert.throws(
         () => container.get(test),
-        (err) => err instanceof GuardError && err.factoryName === "Protected"
+        (err) =>
+          err.cause instanceof GuardError && err.cause.factoryName === "Protected"
       )
     })
 
@@ -112,7 +113,10 @@ describe("patterns plugin", () => {
       )
 
       const container = createContainer()
-      assert.throws(() => container.get(test), CustomError)
+      assert.throws(
+        () => container.get(test),
+        (err) => err.cause instanceof CustomError
+      )
     })
 
     it("supports async guards", async () => {
@@ -136,7 +140,10 @@ describe("patterns plugin", () => {
       )
 
       const container = createContainer()
-      await assert.rejects(() => container.get(test), GuardError)
+      await assert.rejects(
+        () => container.get(test),
+        (err) => err.cause instanceof GuardError
+      )
     })
 
     it("receives container in guard function", () => {
@@ -212,9 +219,9 @@ describe("patterns plugin", () => {
       assert.throws(
         () => container.get(test),
         (err) =>
-          err instanceof ValidationError &&
-          err.factoryName === "Counter" &&
-          err.message.includes("Negative count")
+          err.cause instanceof ValidationError &&
+          err.cause.factoryName === "Counter" &&
+          err.cause.message.includes("Negative count")
       )
     })
 
@@ -417,7 +424,10 @@ describe("patterns plugin", () => {
       )
 
       const container = createContainer()
-      assert.throws(() => container.get(test), WrappedError)
+      assert.throws(
+        () => container.get(test),
+        (err) => err.cause instanceof WrappedError
+      )
     })
 
     it("does not interfere when no error", () => {
@@ -0,0 +1,237 @@
+import { describe, it, afterEach } from "node:test"
+import assert from "node:assert"
+import { Agent, createServer, request as httpRequest } from "node:http"
+import { createContainer, currentContainer, factory } from "../../lib/core.js"
+import {
+  requestScope,
+  currentScope,
+  HttpRequest,
+  RequestId,
+  RequestSignal,
+  currentRequestId,
+} from "../../lib/plugins/request-scope.js"
+
+const delay = (ms) => new Promise((r) => setTimeout(r, ms))
+
+describe("request scope", () => {
+  let server
+
+  /** Serves requests through the middleware, then `handler`. */
+  const listen = async (middleware, handler) => {
+    server = createServer((req, res) => {
+      middleware(req, res, (error) => {
+        if (error) {
+          res.writeHead(500)
+          res.end(error.message)
+          return
+        }
+        Promise.resolve(handler(req, res)).catch((e) => {
+          res.writeHead(500)
+          res.end(e.message)
+        })
+      })
+    })
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+    return `http://127.0.0.1:${server.address().port}`
+  }
+
+  afterEach(async () => {
+    server.closeAllConnections()
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  it("gives each request its own child container", async () => {
+    const app = createContainer()
+    const config = factory("Config", () => ({}))
+    app.get(config)
+    const seen = []
+    const base = await listen(requestScope(app), (req, res) => {
+      seen.push(req.scope)
+      assert.strictEqual(req.scope.get(config), app.get(config))
+      res.end()
+    })
+
+    await fetch(base)
+    await fetch(base)
+
+    assert.strictEqual(seen.length, 2)
+    assert.notStrictEqual(seen[0], seen[1])
+  })
+
+  it("binds the request, its ID and an abort signal", async () => {
+    const app = createContainer()
+    const greeting = factory("Greeting", (c) => `${c.get(HttpRequest).url} ${c.get(RequestId)}`)
+    const base = await listen(requestScope(app), (req, res) => {
+      assert.strictEqual(req.scope.get(RequestSignal).aborted, false)
+      res.end(req.scope.get(greeting))
+    })
+
+    const res = await fetch(`${base}/hello`, { headers: { "x-request-id": "abc123" } })
+
+    assert.strictEqual(await res.text(), "/hello abc123")
+  })
+
+  it("generates request IDs when there is no header", async () => {
+    const app = createContainer()
+    const base = await listen(requestScope(app), (req, res) => res.end(req.scope.get(RequestId)))
+
+    const id = await (await fetch(base)).text()
+
+    assert.match(id, /^[0-9a-f-]{36}$/)
+  })
+
+  it("disposes the scope when the response finishes", async () => {
+    const app = createContainer()
+    let closed = 0
+    const connection = factory("Connection", () => ({}), { dispose: () => closed++ })
+    const base = await listen(requestScope(app), (req, res) => {
+      req.scope.get(connection)
+      res.end()
+    })
+
+    await fetch(base)
+    await delay(5)
+
+    assert.strictEqual(closed, 1)
+  })
+
+  it("leaves the request alone so keep-alive connections are reused", async () => {
+    const app = createContainer()
+    const base = await listen(requestScope(app), (req, res) => {
+      req.scope.get(HttpRequest)
+      res.end("ok")
+    })
+    let connections = 0
+    server.on("connection", () => connections++)
+    const agent = new Agent({ keepAlive: true, maxSockets: 1 })
+    const send = () =>
+      new Promise((resolve, reject) => {
+        httpRequest(base, { agent }, (res) => {
+          res.resume()
+          res.on("end", resolve)
+        }).on("error", reject).end()
+      })
+
+    for (let i = 0; i < 3; i++) {
+      await send()
+      await delay(5)
+    }
+    agent.destroy()
+
+    assert.strictEqual(connections, 1)
+  })
+
+  it("aborts the signal and disposes when the client goes away", async () => {
+    const app = createContainer()
+    let disposed = false
+    let signal
+    let markStarted
+    const started = new Promise((resolve) => (markStarted = resolve))
+    const base = await listen(requestScope(app), (req) => {
+      signal = req.scope.get(RequestSignal)
+      req.scope.onDispose(() => {
+        disposed = true
+      })
+      markStarted()
+      // Never responds
+    })
+
+    const client = httpRequest(base)
+    client.on("error", () => {})
+    client.end()
+    await started
+    client.destroy()
+    await delay(20)
+
+    assert.strictEqual(signal.aborted, true)
+    assert.strictEqual(disposed, true)
+  })
+
+  it("exposes the scope to deep code through currentScope()", async () => {
+    const app = createContainer()
+    const deepHelper = async () => {
+      await delay(1)
+      return currentScope().get(RequestId)
+    }
+    const base = await listen(requestScope(app), async (req, res) => {
+      res.end(await deepHelper())
+    })
+
+    const res = await fetch(base, { headers: { "x-request-id": "deep" } })
+
+    assert.strictEqual(await res.text(), "deep")
+    assert.strictEqual(currentScope(), undefined)
+  })
+
+  it("makes the scope the current container and exposes the request ID", async () => {
+    const app = createContainer()
+    const base = await listen(requestScope(app), async (req, res) => {
+      await delay(1)
+      assert.strictEqual(currentContainer(), req.scope)
+      res.end(currentRequestId())
+    })
+
+    const res = await fetch(base, { headers: { "x-request-id": "ambient" } })
+
+    assert.strictEqual(await res.text(), "ambient")
+  })
+
+  it("runs setup() before the rest of the chain", async () => {
+    const app = createContainer()
+    const base = await listen(
+      requestScope(app, {
+        property: "container",
+        setup: async (scope, req) => {
+          await delay(1)
+          req.user = "alice"
+        },
+      }),
+      (req, res) => {
+        assert.strictEqual(req.scope, undefined)
+        assert.strictEqual(currentScope(), req.container)
+        res.end(req.user)
+      }
+    )
+
+    assert.strictEqual(await (await fetch(base)).text(), "alice")
+  })
+
+  it("passes setup() failures to next()", async () => {
+    const app = createContainer()
+    const base = await listen(
+      requestScope(app, {
+        setup: () => {
+          throw new Error("no session")
+        },
+      }),
+      (req, res) => res.end("unreachable")
+    )
+
+    const res = await fetch(base)
+
+    assert.strictEqual(res.status, 500)
+    assert.strictEqual(await res.text(), "no session")
+  })
+
+  it("reports dispose failures to onError", async () => {
+    const app = createContainer()
+    const errors = []
+    const broken = factory("Broken", () => ({}), {
+      dispose: () => {
+        throw new Error("close failed")
+      },
+    })
+    const base = await listen(
+      requestScope(app, { onError: (error) => errors.push(error) }),
+      (req, res) => {
+        req.scope.get(broken)
+        res.end()
+      }
+    )
+
+    await fetch(base)
+    await delay(5)
+
+    assert.strictEqual(errors.length, 1)
+  })
+})
@@ -0,0 +1,245 @@
+import { describe, it } from "node:test"
+import assert from "node:assert"
+import { createContainer, childContainer, factory } from "../../lib/core.js"
+import { TimeoutError } from "../../lib/errors.js"
+import { shutdown } from "../../lib/plugins/shutdown.js"
+
+const delay = (ms) => new Promise((r) => setTimeout(r, ms))
+
+describe("shutdown plugin", () => {
+  describe("ordering", () => {
+    it("disposes dependents before their dependencies", async () => {
+      const closed = []
+      const config = factory("Config", () => ({}), { dispose: () => closed.push("Config") })
+      const db = factory("Database", (c) => ({ config: c.get(config) }), {
+        dispose: () => closed.push("Database"),
+      })
+      const users = factory("UserService", (c) => ({ db: c.get(db) }), {
+        dispose: () => closed.push("UserService"),
+      })
+      const container = createContainer().with(shutdown())
+
+      container.get(users)
+      await container.shutdown()
+
+      assert.deepStrictEqual(closed, ["UserService", "Database", "Config"])
+    })
+
+    it("follows dependencies resolved after an await", async () => {
+      const closed = []
+      const pool = factory("Pool", async () => ({}), {
+        dispose: async () => {
+          await delay(1)
+          closed.push("Pool")
+        },
+      })
+      const repo = factory(
+        "Repo",
+        async (c) => {
+          await delay(1)
+          return { pool: await c.get(pool) }
+        },
+        { dispose: () => closed.push("Repo") }
+      )
+      const container = createContainer().with(shutdown())
+
+      await container.get(repo)
+      await container.shutdown()
+
+      assert.deepStrictEqual(closed, ["Repo", "Pool"])
+    })
+
+    it("disposes independent branches in parallel", async () => {
+      const events = []
+      const slowClose = (name) =>
+        factory(name, () => ({}), {
+          dispose: async () => {
+            events.push(`start ${name}`)
+            await delay(10)
+            events.push(`end ${name}`)
+          },
+        })
+      const cache = slowClose("Cache")
+      const queue = slowClose("Queue")
+      const container = createContainer().with(shutdown())
+
+      container.get(cache)
+      container.get(queue)
+      await container.shutdown()
+
+      assert.deepStrictEqual(events.slice(0, 2).sort(), ["start Cache", "start Queue"])
+    })
+
+    it("runs onDispose() handlers after the instances", async () => {
+      const events = []
+      const db = factory("Database", () => ({}), { dispose: () => events.push("Database") })
+      const container = createContainer().with(shutdown())
+      container.onDispose(() => events.push("onDispose"))
+
+      container.get(db)
+      await container.shutdown()
+
+      assert.deepStrictEqual(events, ["Database", "onDispose"])
+    })
+
+    it("runs the onDispose() handlers a factory registered along with it", async () => {
+      const closed = []
+      const config = factory("Config", () => ({}), { dispose: () => closed.push("Config") })
+      const db = factory("Database", async (c) => {
+        const cfg = c.get(config)
+        await delay(1)
+        c.onDispose(() => closed.push("Database"))
+        return { cfg }
+      })
+      const users = factory("UserService", async (c) => ({ db: await c.get(db) }), {
+        dispose: () => closed.push("UserService"),
+      })
+      const container = createContainer().with(shutdown())
+
+      await container.get(users)
+      await container.shutdown()
+
+      assert.deepStrictEqual(closed, ["UserService", "Database", "Config"])
+    })
+
+    it("only disposes the container's own instances", async () => {
+      const closed = []
+      const db = factory("Database", () => ({}), { dispose: () => closed.push("Database") })
+      const request = factory("Request", (c) => ({ db: c.get(db) }), {
+        lifetime: "scoped",
+        dispose: () => closed.push("Request"),
+      })
+      const app = createContainer()
+      app.get(db)
+      const scope = childContainer(app).with(shutdown())
+
+      scope.get(request)
+      await scope.shutdown()
+
+      assert.deepStrictEqual(closed, ["Request"])
+      await app.dispose()
+    })
+  })
+
+  describe("timeouts", () => {
+    it("stops waiting for a hung disposer and carries on", async () => {
+      const closed = []
+      const hung = factory("Hung", () => ({}), { dispose: () => new Promise(() => {}) })
+      const db = factory("Database", () => ({}), { dispose: () => closed.push("Database") })
+      const container = createContainer().with(shutdown({ disposerTimeout: 5 }))
+
+      container.get(hung)
+      container.get(db)
+      const report = await container.shutdown()
+
+      assert.deepStrictEqual(closed, ["Database"])
+      assert.strictEqual(report.ok, false)
+      const entry = report.disposed.find((e) => e.name === "Hung")
+      assert.strictEqual(entry.status, "timeout")
+      assert.ok(entry.error instanceof TimeoutError)
+    })
+
+    it("stops waiting for a hung onDispose() handler and carries on", async () => {
+      const events = []
+      const container = createContainer().with(shutdown({ disposerTimeout: 5 }))
+      container.onDispose(() => events.push("first"))
+      container.onDispose(() => new Promise(() => {}))
+
+      const report = await container.shutdown()
+
+      assert.deepStrictEqual(events, ["first"])
+      assert.strictEqual(report.timedOut, false)
+      assert.deepStrictEqual(
+        report.disposed.map((e) => [e.name, e.status]),
+        [
+          ["onDispose", "timeout"],
+          ["onDispose", "disposed"],
+        ]
+      )
+      assert.ok(report.disposed[0].error instanceof TimeoutError)
+    })
+
+    it("gives up after the overall timeout", async () => {
+      const slow = factory("Slow", () => ({}), { dispose: () => delay(50) })
+      const container = createContainer().with(shutdown())
+
+      container.get(slow)
+      const report = await container.shutdown({ timeout: 5 })
+
+      assert.strictEqual(report.timedOut, true)
+      assert.ok(report.errors.some((e) => e instanceof TimeoutError))
+      assert.ok(report.ms < 50)
+    })
+  })
+
+  describe("report", () => {
+    it("records the signal and each disposal", async () => {
+      const db = factory("Database", () => ({}), { dispose: () => {} })
+      const container = createContainer().with(shutdown())
+
+      container.get(db)
+      const report = await container.shutdown({ signal: "SIGTERM" })
+
+      assert.strictEqual(report.signal, "SIGTERM")
+      assert.strictEqual(report.ok, true)
+      assert.deepStrictEqual(
+        report.disposed.map((e) => [e.name, e.status]),
+        [["Database", "disposed"]]
+      )
+    })
+
+    it("reports failed disposers instead of rejecting", async () => {
+      const broken = factory("Broken", () => ({}), {
+        dispose: () => {
+          throw new Error("close failed")
+        },
+      })
+      const container = createContainer().with(shutdown())
+
+      container.get(broken)
+      const report = await container.shutdown()
+
+      assert.strictEqual(report.ok, false)
+      assert.strictEqual(report.disposed[0].status, "failed")
+    })
+
+    it("returns the same promise when called twice", () => {
+      const container = createContainer().with(shutdown())
+
+      assert.strictEqual(container.shutdown(), container.shutdown())
+    })
+  })
+
+  describe("handleSignals()", () => {
+    it("shuts down when the signal is received", async () => {
+      let closed = false
+      const db = factory("Database", () => ({}), {
+        dispose: () => {
+          closed = true
+        },
+      })
+      const container = createContainer().with(shutdown())
+      container.get(db)
+
+      const reported = new Promise((resolve) => {
+        container.handleSignals(["SIGUSR2"], { exit: false, onShutdown: resolve })
+      })
+      process.emit("SIGUSR2", "SIGUSR2")
+      const report = await reported
+
+      assert.strictEqual(closed, true)
+      assert.strictEqual(report.signal, "SIGUSR2")
+    })
+
+    it("removes its handlers", () => {
+      const container = createContainer().with(shutdown())
+      const before = process.listenerCount("SIGUSR2")
+
+      const uninstall = container.handleSignals(["SIGUSR2"], { exit: false })
+      assert.strictEqual(process.listenerCount("SIGUSR2"), before + 1)
+
+      uninstall()
+      assert.strictEqual(process.listenerCount("SIGUSR2"), before)
+    })
+  })
+})
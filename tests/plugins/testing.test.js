@@ -1,7 +1,23 @@
 import { describe, it, beforeEach, afterEach } from "node:test"
 import assert from "node:assert"
-import { createContainer, factory, named } from "../../lib/core.js"
-import { testing } from "../../lib/plugins/testing.js"
+import {
+  createContainer,
+  factory,
+  named,
+  collection,
+  contribute,
+  inject,
+  token,
+  transient,
+  timeout,
+  childContainer,
+  clock,
+} from "../../lib/core.js"
+import { DIError } from "../../lib/errors.js"
+import { testing, mockFn, spyOn, MockMismatchError } from "../../lib/plugins/testing.js"
+import { observability } from "../../lib/plugins/observability.js"
+import { ttlCache } from "../../lib/plugins/cache.js"
+import { circuitBreaker, CircuitOpenError } from "../../lib/plugins/circuit-breaker.js"
 
 describe("testing plugin", () => {
   let container
@@ -64,6 +80,33 @@ describe("testing plugin", () => {
       assert.deepStrictEqual(mockContainer.get(cache), { type: "mockCache" })
     })
 
+    it("child container supports await using", async () => {
+      let closed = false
+      const db = factory("Database", () => ({ type: "real" }))
+
+      const mockContainer = container.withMocks([
+        [db, () => ({ close: () => { closed = true } })],
+      ])
+      mockContainer.onDispose(() => mockContainer.get(db).close())
+
+      await mockContainer[Symbol.asyncDispose]()
+      assert.strictEqual(closed, true)
+    })
+
+    it("replaces a single collection member", () => {
+      const reporters = collection("Reporters")
+      const console_ = factory("ConsoleReporter", () => "console")
+      const slack = factory("SlackReporter", () => "slack")
+      contribute(reporters, console_)
+      contribute(reporters, slack)
+
+      container.get(reporters)
+      const mockContainer = container.withMocks([[slack, () => "mock-slack"]])
+
+      assert.deepStrictEqual(mockContainer.get(reporters), ["console", "mock-slack"])
+      assert.deepStrictEqual(container.get(reporters), ["console", "slack"])
+    })
+
     it("child container also has testing plugin methods", () => {
       const db = factory("Database", () => ({ type: "real" }))
 
@@ -77,6 +120,620 @@ describe("testing plugin", () => {
     })
   })
 
+  describe("mockFn()", () => {
+    it("records calls", () => {
+      const fn = mockFn()
+
+      fn(1, 2)
+      fn("a")
+
+      assert.deepStrictEqual(fn.calls, [[1, 2], ["a"]])
+      assert.deepStrictEqual(fn.lastCall, ["a"])
+    })
+
+    it("returns a configured value or calls an implementation", () => {
+      const fn = mockFn((x) => x * 2)
+      assert.strictEqual(fn(2), 4)
+
+      fn.mockReturnValue("fixed")
+      assert.strictEqual(fn(2), "fixed")
+
+      fn.mockImplementation((x) => x + 1)
+      assert.strictEqual(fn(2), 3)
+    })
+
+    it("resets calls and behaviour", () => {
+      const fn = mockFn(() => "original").mockReturnValue("changed")
+      fn()
+
+      fn.mockReset()
+
+      assert.deepStrictEqual(fn.calls, [])
+      assert.strictEqual(fn.lastCall, undefined)
+      assert.strictEqual(fn(), "original")
+    })
+  })
+
+  describe("autoMock()", () => {
+    class UserService {
+      constructor(db, logger) {
+        this.db = db
+        this.logger = logger
+      }
+      findAll() {
+        this.logger.log("finding users")
+        return this.db.query("SELECT * FROM users")
+      }
+    }
+
+    it("stubs every dependency of the unit", () => {
+      let connected = false
+      const db = factory("Database", () => {
+        connected = true
+        return { query: () => [] }
+      })
+      const logger = factory("Logger", () => ({ log: () => {} }))
+      const users = inject(UserService, db, logger)
+
+      const test = container.autoMock(users)
+      test.mockOf(db).query.mockReturnValue([{ id: 1 }])
+      const service = test.get(users)
+
+      assert.deepStrictEqual(service.findAll(), [{ id: 1 }])
+      assert.deepStrictEqual(test.mockOf(db).query.lastCall, ["SELECT * FROM users"])
+      assert.strictEqual(test.mockOf(logger).log.calls.length, 1)
+      assert.strictEqual(connected, false)
+    })
+
+    it("ignores real instances already cached in the container", () => {
+      const db = factory("Database", () => ({ real: true }))
+      const repo = factory("Repo", (c) => ({ db: c.get(db) }))
+      container.get(repo)
+
+      const test = container.autoMock(repo)
+
+      assert.notStrictEqual(test.get(repo), container.get(repo))
+      assert.strictEqual(test.get(repo).db, test.mockOf(db))
+    })
+
+    it("creates mocks up front from the observability graph", () => {
+      const app = createContainer().with(observability).with(testing)
+      const db = factory("Database", () => ({ query: () => [] }))
+      const logger = factory("Logger", () => ({ log: () => {} }))
+      const users = inject(UserService, db, logger)
+      app.get(users)
+
+      const test = app.autoMock(users)
+
+      assert.deepStrictEqual([...test.mocks.keys()].sort(), ["Database", "Logger"])
+    })
+
+    it("creates mocks up front from a discover() result", () => {
+      const db = factory("Database", () => ({}))
+      const users = factory("UserService", (c) => new UserService(c.get(db), {}))
+
+      const test = container.autoMock(users, {
+        graph: { dependencies: [{ from: "UserService", to: "Database" }] },
+      })
+
+      assert.deepStrictEqual([...test.mocks.keys()], ["Database"])
+      assert.strictEqual(test.get(users).db, test.mocks.get("Database"))
+    })
+
+    it("resolves dependencies in keep for real", () => {
+      const config = factory("Config", () => ({ env: "test" }))
+      const db = factory("Database", () => ({}))
+      const repo = factory("Repo", (c) => ({ config: c.get(config), db: c.get(db) }))
+
+      const test = container.autoMock(repo, { keep: [config] })
+
+      assert.deepStrictEqual(test.get(repo).config, { env: "test" })
+      assert.strictEqual(test.get(repo).db, test.mockOf(db))
+    })
+
+    it("works with async dependencies and callable stubs", async () => {
+      const fetcher = factory("Fetch", async () => globalThis.fetch)
+      const client = factory("Client", async (c) => {
+        const fetchFn = await c.get(fetcher)
+        return { load: () => fetchFn("/users") }
+      })
+
+      const test = container.autoMock(client)
+      test.mockOf(fetcher).mockReturnValue("response")
+      const instance = await test.get(client)
+
+      assert.strictEqual(instance.load(), "response")
+      assert.deepStrictEqual(test.mockOf(fetcher).lastCall, ["/users"])
+    })
+
+    it("stubs dependencies resolved with getAll() and getAllAsync()", async () => {
+      let created = 0
+      const db = factory("Database", () => {
+        created++
+        return { query: () => "real" }
+      })
+      const config = factory("Config", () => ({ env: "test" }))
+      const repo = factory("Repo", (c) => {
+        const [database, cfg] = c.getAll([db, config])
+        return { database, cfg }
+      })
+      const loader = factory("Loader", async (c) => c.getAllAsync({ db, config }))
+
+      const test = container.autoMock(repo, { keep: [config] })
+      test.mockOf(db).query.mockReturnValue("mock")
+      const loaderTest = container.autoMock(loader)
+      const loaded = await loaderTest.get(loader)
+
+      assert.strictEqual(test.get(repo).database.query(), "mock")
+      assert.deepStrictEqual(test.get(repo).cfg, { env: "test" })
+      assert.strictEqual(loaded.db, loaderTest.mockOf(db))
+      assert.strictEqual(loaded.config, loaderTest.mockOf(config))
+      assert.strictEqual(created, 0)
+    })
+
+    it("leaves the parent container alone", () => {
+      const db = factory("Database", () => ({ real: true }))
+      const repo = factory("Repo", (c) => ({ db: c.get(db) }))
+
+      container.autoMock(repo).get(repo)
+
+      assert.deepStrictEqual(container.get(repo).db, { real: true })
+    })
+  })
+
+  describe("spyOn()", () => {
+    const database = factory("Database", () => ({
+      query: (sql) => [{ sql }],
+      fail: () => {
+        throw new Error("connection lost")
+      },
+      load: async (id) => ({ id }),
+    }))
+
+    it("records calls, arguments and results", () => {
+      const spy = spyOn(container, database)
+
+      const rows = container.get(database).query("SELECT 1")
+
+      assert.deepStrictEqual(rows, [{ sql: "SELECT 1" }])
+      assert.strictEqual(spy.callCount(), 1)
+      const [call] = spy.callsTo("query")
+      assert.deepStrictEqual(call.args, ["SELECT 1"])
+      assert.deepStrictEqual(call.result, [{ sql: "SELECT 1" }])
+      assert.strictEqual(call.threw, false)
+      assert.ok(call.ms >= 0)
+    })
+
+    it("records thrown errors and rethrows them", () => {
+      const spy = spyOn(container, database)
+
+      assert.throws(() => container.get(database).fail(), /connection lost/)
+
+      const [call] = spy.calls
+      assert.strictEqual(call.threw, true)
+      assert.strictEqual(call.error.message, "connection lost")
+    })
+
+    it("records what async methods resolve to", async () => {
+      const spy = spyOn(container, database)
+
+      await container.get(database).load(7)
+
+      const [call] = spy.callsTo("load")
+      assert.strictEqual(call.async, true)
+      assert.deepStrictEqual(call.result, { id: 7 })
+    })
+
+    it("is seen by dependents resolved afterwards", () => {
+      const repo = factory("Repo", (c) => ({ find: () => c.get(database).query("SELECT *") }))
+      const spy = spyOn(container, database)
+
+      container.get(repo).find()
+
+      assert.strictEqual(spy.callCount("query"), 1)
+    })
+
+    it("keeps `this` pointing at the real instance", () => {
+      class Counter {
+        #count = 0
+        increment() {
+          return ++this.#count
+        }
+      }
+      const counter = factory("Counter", () => new Counter())
+      const spy = spyOn(container, counter)
+
+      spy.instance.increment()
+
+      assert.strictEqual(spy.instance.increment(), 2)
+      assert.strictEqual(spy.callCount("increment"), 2)
+    })
+
+    it("reset() forgets calls and restore() puts the real instance back", () => {
+      const real = container.get(database)
+      const spy = spyOn(container, database)
+      container.get(database).query("a")
+
+      spy.reset()
+      assert.strictEqual(spy.callCount(), 0)
+
+      spy.restore()
+      assert.strictEqual(container.get(database), real)
+      real.query("b")
+      assert.strictEqual(spy.callCount(), 0)
+    })
+
+    it("is removed by restore() without disposing the instance", async () => {
+      let disposed = 0
+      const conn = factory("Connection", () => ({ send: () => {} }), { dispose: () => disposed++ })
+      const real = container.get(conn)
+      const snap = container.snapshot()
+
+      spyOn(container, conn)
+      await container.restore(snap)
+
+      assert.strictEqual(container.get(conn), real)
+      assert.strictEqual(disposed, 0)
+    })
+
+    it("spies on singletons in the root they are cached in", () => {
+      const pool = factory("Pool", () => ({ query: () => [] }), { lifetime: "singleton" })
+      const child = container.withMocks([])
+
+      const spy = spyOn(child, pool)
+      child.get(pool).query()
+
+      assert.strictEqual(child.get(pool), spy.instance)
+      assert.strictEqual(container.get(pool), spy.instance)
+      assert.strictEqual(spy.callCount("query"), 1)
+
+      spy.restore()
+      assert.notStrictEqual(child.get(pool), spy.instance)
+    })
+
+    it("rejects singletons whose root lacks the testing plugin", () => {
+      const pool = factory("Pool", () => ({ query: () => [] }), { lifetime: "singleton" })
+      const child = childContainer(createContainer()).with(testing)
+
+      assert.throws(() => spyOn(child, pool), /singleton/)
+    })
+
+    it("needs the testing plugin", () => {
+      const plain = createContainer()
+
+      assert.throws(() => spyOn(plain, database), DIError)
+    })
+
+    it("rejects transient factories", () => {
+      assert.throws(() => spyOn(container, transient(database)), /transient/)
+    })
+
+    it("rejects factories that are still resolving", async () => {
+      const slow = factory("Slow", async () => ({ run: () => {} }))
+
+      assert.throws(() => spyOn(container, slow), /still resolving/)
+
+      await container.get(slow)
+      spyOn(container, slow).instance.run()
+    })
+
+    it("rejects primitives", () => {
+      const port = factory("Port", () => 8080)
+
+      assert.throws(() => spyOn(container, port), /resolved to number/)
+    })
+  })
+
+  describe("transaction()", () => {
+    it("disposes instances created inside and returns the result", async () => {
+      let disposed = 0
+      const conn = factory("Connection", () => ({ open: true }), { dispose: () => disposed++ })
+
+      const result = await container.transaction((tx) => tx.get(conn).open)
+
+      assert.strictEqual(result, true)
+      assert.strictEqual(disposed, 1)
+      assert.strictEqual(container.has(conn), false)
+    })
+
+    it("puts back overridden instances without disposing them", async () => {
+      let disposed = 0
+      const db = factory("Database", () => ({ real: true }), { dispose: () => disposed++ })
+      const real = container.get(db)
+
+      await container.transaction(async (tx) => {
+        await tx.override(db, () => ({ real: false }))
+        assert.strictEqual(tx.get(db).real, false)
+      })
+
+      assert.strictEqual(container.get(db), real)
+      assert.strictEqual(disposed, 0)
+    })
+
+    it("runs onDispose() handlers registered inside, and keeps the others", async () => {
+      const order = []
+      container.onDispose(() => order.push("outside"))
+
+      await container.transaction((tx) => {
+        tx.onDispose(() => order.push("first"))
+        tx.onDispose(() => order.push("second"))
+      })
+      assert.deepStrictEqual(order, ["second", "first"])
+
+      await container.dispose()
+      assert.deepStrictEqual(order, ["second", "first", "outside"])
+    })
+
+    it("rolls back hooks, bindings and freeze()", async () => {
+      const seen = []
+      const api = token("Api")
+      const config = factory("Config", () => ({}))
+
+      await container.transaction((tx) => {
+        tx.with({
+          name: "recorder",
+          apply: (_, internals) => {
+            internals.hooks.afterResolve.push((f) => seen.push(f))
+            return {}
+          },
+        })
+        tx.bind(api, factory("FakeApi", () => "fake"))
+        tx.freeze()
+      })
+
+      container.get(config)
+      assert.deepStrictEqual(seen, [])
+      assert.strictEqual(container.isBound(api), false)
+    })
+
+    it("disposes child containers from withMocks()", async () => {
+      let disposed = 0
+      const conn = factory("Connection", () => ({}), { dispose: () => disposed++ })
+
+      await container.transaction((tx) => {
+        tx.withMocks([]).get(conn)
+      })
+
+      assert.strictEqual(disposed, 1)
+    })
+
+    it("rolls back when the callback throws", async () => {
+      const config = factory("Config", () => ({}))
+
+      await assert.rejects(
+        container.transaction((tx) => {
+          tx.get(config)
+          throw new Error("test failed")
+        }),
+        /test failed/
+      )
+
+      assert.strictEqual(container.has(config), false)
+    })
+
+    it("nests", async () => {
+      const a = factory("A", () => ({}))
+      const b = factory("B", () => ({}))
+
+      await container.transaction(async (outer) => {
+        outer.get(a)
+        await outer.transaction((inner) => inner.get(b))
+        assert.strictEqual(outer.has(a), true)
+        assert.strictEqual(outer.has(b), false)
+      })
+
+      assert.strictEqual(container.has(a), false)
+    })
+  })
+
+  describe("verifyMock()", () => {
+    class Database {
+      connected = true
+      async query(sql, params) {
+        return [sql, params]
+      }
+      close() {}
+    }
+    const database = factory("Database", () => new Database())
+
+    it("accepts a mock with the same shape", async () => {
+      const result = await container.verifyMock(database, () => ({
+        connected: false,
+        query: async () => [],
+        close: mockFn(),
+      }))
+
+      assert.deepStrictEqual(result, { ok: true, mismatches: [] })
+    })
+
+    it("reports missing, extra and mistyped members", async () => {
+      const { ok, mismatches } = await container.verifyMock(database, () => ({
+        connected: "yes",
+        query: async () => [],
+        execute: () => {},
+      }))
+
+      assert.strictEqual(ok, false)
+      assert.deepStrictEqual(mismatches, [
+        { property: "connected", expected: "boolean", actual: "string" },
+        { property: "close", expected: "function(0)", actual: "missing" },
+        { property: "execute", expected: "missing", actual: "function(0)" },
+      ])
+    })
+
+    it("reports methods that declare extra parameters", async () => {
+      const { mismatches } = await container.verifyMock(database, () => ({
+        connected: true,
+        query: async (sql, params, options) => [],
+        close: (force) => {},
+      }))
+
+      assert.deepStrictEqual(mismatches, [
+        { property: "query", expected: "async function(2)", actual: "async function(3)" },
+        { property: "close", expected: "function(0)", actual: "function(1)" },
+      ])
+    })
+
+    it("reports sync methods standing in for async ones", async () => {
+      const { mismatches } = await container.verifyMock(database, () => ({
+        connected: true,
+        query: () => [],
+        close() {},
+      }))
+
+      assert.deepStrictEqual(mismatches, [
+        { property: "query", expected: "async function(2)", actual: "function(0)" },
+      ])
+    })
+
+    it("accepts async functions for promise-returning methods, and mockFn() for async ones", async () => {
+      const client = factory("Client", () => ({ fetch: (url) => Promise.resolve(url) }))
+
+      const result = await container.verifyMock(client, () => ({ fetch: async () => "" }))
+      const mocked = await container.verifyMock(database, () => ({
+        connected: true,
+        query: mockFn(),
+        close() {},
+      }))
+
+      assert.deepStrictEqual(result, { ok: true, mismatches: [] })
+      assert.deepStrictEqual(mocked, { ok: true, mismatches: [] })
+    })
+
+    it("reports a sync mock for an async factory", async () => {
+      const config = factory("Config", async () => ({ port: 80 }))
+
+      const { mismatches } = await container.verifyMock(config, () => ({ port: 8080 }))
+
+      assert.deepStrictEqual(mismatches, [
+        { property: "(factory)", expected: "async factory", actual: "sync factory" },
+      ])
+    })
+
+    it("leaves the container alone", async () => {
+      let disposed = 0
+      const conn = factory("Connection", () => ({}), { dispose: () => disposed++ })
+
+      await container.verifyMock(conn, () => ({}))
+
+      assert.strictEqual(container.has(conn), false)
+      assert.strictEqual(disposed, 1)
+    })
+  })
+
+  describe("withMocks({ strict: true })", () => {
+    const mailer = factory("Mailer", () => ({ send: (to, body) => true }))
+
+    it("throws when a mock has drifted from the real factory", () => {
+      const test = container.withMocks([[mailer, () => ({ deliver: () => true })]], {
+        strict: true,
+      })
+
+      assert.throws(
+        () => test.get(mailer),
+        (error) =>
+          error instanceof MockMismatchError &&
+          error.mismatches.length === 2 &&
+          /send: expected function\(2\), got missing/.test(error.message)
+      )
+    })
+
+    it("hands out mocks that match", () => {
+      const fake = { send: mockFn() }
+      const test = container.withMocks([[mailer, () => fake]], { strict: true })
+
+      assert.strictEqual(test.get(mailer), fake)
+    })
+
+    it("checks async factories once they resolve", async () => {
+      const users = factory("Users", async () => ({ find: async (id) => ({ id }) }))
+      const test = container.withMocks(new Map([[users, async () => ({ findAll: () => [] })]]), {
+        strict: true,
+      })
+
+      await assert.rejects(test.get(users), MockMismatchError)
+    })
+
+    it("is off by default", () => {
+      const test = container.withMocks([[mailer, () => ({})]])
+
+      assert.deepStrictEqual(test.get(mailer), {})
+    })
+  })
+
+  describe("fakeClock()", () => {
+    it("stands still until advanced", async () => {
+      const time = container.fakeClock({ now: 1000 })
+
+      assert.strictEqual(container.get(clock), time)
+      assert.strictEqual(time.now(), 1000)
+      await time.advance(250)
+      assert.strictEqual(time.now(), 1250)
+    })
+
+    it("fires timers that fall due, in order, at their time", async () => {
+      const time = container.fakeClock()
+      const fired = []
+      time.setTimeout(() => fired.push(["b", time.now()]), 20)
+      time.setTimeout(() => fired.push(["a", time.now()]), 10)
+      const cleared = time.setTimeout(() => fired.push(["c", time.now()]), 15)
+      time.setTimeout(() => fired.push(["later", time.now()]), 100)
+      time.clearTimeout(cleared)
+
+      await time.advance(50)
+
+      assert.deepStrictEqual(fired, [["a", 10], ["b", 20]])
+      assert.strictEqual(time.pending, 1)
+    })
+
+    it("drives caches, circuit breakers and timeouts at once", async () => {
+      const time = container.fakeClock()
+      let fetched = 0
+      const rates = ttlCache({ ttlMs: 60_000 })(factory("Rates", () => ++fetched))
+      let failing = true
+      const api = circuitBreaker("fake-clock-api", { failureThreshold: 1, resetTimeoutMs: 30_000 })(
+        factory("Api", async () => {
+          if (failing) throw new Error("down")
+          return "up"
+        })
+      )
+      const hung = timeout(factory("Hung", () => new Promise(() => {})), 5_000)
+
+      rates(container)
+      await assert.rejects(api(container), /down/)
+      const stuck = assert.rejects(container.get(hung), (err) => err.name === "TimeoutError")
+      failing = false
+
+      await time.advance(30_000)
+      await stuck
+      assert.strictEqual(await api(container), "up")
+      rates(container)
+      assert.strictEqual(fetched, 1)
+
+      await time.advance(30_000)
+      rates(container)
+      assert.strictEqual(fetched, 2)
+    })
+
+    it("is inherited by child containers", () => {
+      const time = container.fakeClock()
+
+      assert.strictEqual(childContainer(container).get(clock), time)
+    })
+
+    it("keeps timeouts real in autoMock()", async () => {
+      const time = container.fakeClock()
+      const hung = timeout(factory("Hung", () => new Promise(() => {})), 100)
+
+      const result = assert.rejects(
+        container.autoMock(hung).get(hung),
+        (err) => err.name === "TimeoutError"
+      )
+      await time.advance(100)
+      await result
+    })
+  })
+
   describe("snapshot()", () => {
     it("captures the current cache state", () => {
       const config = factory("Config", () => ({ env: "test" }))
@@ -163,6 +820,16 @@ describe("testing plugin", () => {
       container.restore(snap)
       assert.strictEqual(container.has(config2), false)
     })
+    it("disposes instances that are not in the snapshot", async () => {
+      let disposed = 0
+      const conn = factory("Connection", () => ({}), { dispose: () => disposed++ })
+
+      const snap = container.snapshot()
+      container.get(conn)
+      await container.restore(snap)
+
+      assert.strictEqual(disposed, 1)
+    })
   })
 
   describe("integration: test isolation pattern", () => {
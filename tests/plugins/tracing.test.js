@@ -1,7 +1,9 @@
 import { describe, it, beforeEach, afterEach } from "node:test"
 import assert from "node:assert"
-import { createContainer, factory } from "../../lib/core.js"
+import { EventEmitter } from "node:events"
+import { createContainer, childContainer, factory, runInScope } from "../../lib/core.js"
 import { tracing } from "../../lib/plugins/tracing.js"
+import { requestScope } from "../../lib/plugins/request-scope.js"
 
 describe("tracing plugin", () => {
   let container
@@ -63,6 +65,51 @@ describe("tracing plugin", () => {
     })
   })
 
+  describe("failed resolutions", () => {
+    it("ends the span with ERROR status", () => {
+      const failing = factory("Failing", () => {
+        throw new Error("Connection refused")
+      })
+
+      assert.throws(() => container.get(failing))
+
+      const [span] = container.getCompletedSpans()
+      assert.strictEqual(span.status, "ERROR")
+      assert.strictEqual(span.attributes["error"], true)
+      assert.strictEqual(span.events[0].name, "exception")
+      assert.strictEqual(container.getActiveSpans().length, 0)
+    })
+
+    it("marks async rejections", async () => {
+      const failing = factory("AsyncFailing", async () => {
+        throw new Error("Connection refused")
+      })
+
+      await assert.rejects(() => container.get(failing))
+
+      const [span] = container.getCompletedSpans()
+      assert.strictEqual(span.status, "ERROR")
+      assert.strictEqual(span.events[0].attributes["exception.type"], "ResolutionError")
+    })
+
+    it("marks async transient rejections", async () => {
+      const failing = factory(
+        "AsyncTransient",
+        async () => {
+          throw new Error("Connection refused")
+        },
+        { transient: true }
+      )
+
+      await assert.rejects(() => container.get(failing))
+
+      const spans = container.getCompletedSpans()
+      assert.strictEqual(spans.length, 1)
+      assert.strictEqual(spans[0].status, "ERROR")
+      assert.strictEqual(container.getActiveSpans().length, 0)
+    })
+  })
+
   describe("parent-child relationships", () => {
     it("links child spans to parent spans", () => {
       const config = factory("Config", () => ({ url: "localhost" }))
@@ -391,4 +438,67 @@ describe("tracing plugin", () => {
       assert.strictEqual(configSpan.parentSpanId, dbSpan.spanId)
     })
   })
+
+  describe("async context", () => {
+    const delay = (ms) => new Promise((r) => setTimeout(r, ms))
+
+    it("makes resolutions inside withSpan() its children, across awaits", async () => {
+      const db = factory("Database", () => ({}))
+
+      await container.withSpan("handleRequest")(async () => {
+        await delay(1)
+        container.get(db)
+      })
+
+      const spans = container.getCompletedSpans()
+      const handler = spans.find((s) => s.operationName === "handleRequest")
+      const dbSpan = spans.find((s) => s.operationName === "resolve:Database")
+      assert.strictEqual(dbSpan.parentSpanId, handler.spanId)
+      assert.strictEqual(dbSpan.traceId, handler.traceId)
+    })
+
+    it("nests withSpan() calls", async () => {
+      await container.withSpan("outer")(async () => {
+        await delay(1)
+        await container.withSpan("inner")(async () => {})
+      })
+      await container.withSpan("sibling")(async () => {})
+
+      const spans = container.getCompletedSpans()
+      const outer = spans.find((s) => s.operationName === "outer")
+      assert.strictEqual(spans.find((s) => s.operationName === "inner").parentSpanId, outer.spanId)
+      assert.strictEqual(spans.find((s) => s.operationName === "sibling").parentSpanId, undefined)
+    })
+
+    it("gives each scope entered with runInScope() its own trace", async () => {
+      const first = childContainer(container)
+      const second = childContainer(container)
+      const db = factory("Database", () => ({}), { transient: true })
+
+      runInScope(first, () => container.get(db))
+      runInScope(second, () => container.get(db))
+
+      const [a, b] = container.getCompletedSpans()
+      assert.notStrictEqual(a.traceId, b.traceId)
+      assert.strictEqual(runInScope(first, () => container.getCurrentTraceId()), a.traceId)
+      assert.notStrictEqual(container.getCurrentTraceId(), a.traceId)
+    })
+
+    it("adds the request ID from requestScope()", async () => {
+      const db = factory("Database", () => ({}))
+      const req = { headers: { "x-request-id": "req-42" } }
+      const res = Object.assign(new EventEmitter(), { writableFinished: true })
+
+      await new Promise((resolve) => {
+        requestScope(container)(req, res, () => {
+          container.get(db)
+          resolve()
+        })
+      })
+      res.emit("finish")
+
+      const [span] = container.getCompletedSpans()
+      assert.strictEqual(span.attributes["request.id"], "req-42")
+    })
+  })
 })